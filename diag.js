@@ -1,78 +1,229 @@
-require('dotenv').config();
-const { io } = require('socket.io-client');
-
-// Usage: set env or pass args. Examples:
-// URL=https://eva.hero.delivery node diag.js
-// URL=wss://eva.hero.delivery INSTANCE_NAME=my_inst TOKEN=abc node diag.js
-
-const URL = process.env.URL || process.env.EVOLUTION_API_URL || 'https://eva.hero.delivery';
-const INSTANCE = process.env.INSTANCE_NAME || process.env.INSTANCE || '';
-const GLOBAL = (process.env.WEBSOCKET_GLOBAL_EVENTS || process.env.GLOBAL || '').toString().toLowerCase() === 'true';
-const TOKEN = process.env.TOKEN || process.env.AUTH_TOKEN || '';
-const ALLOW_POLLING = (process.env.ALLOW_POLLING || '').toString().toLowerCase() === 'true';
-
-function buildUrl() {
-  let base = URL.trim();
-  if (!GLOBAL && INSTANCE) {
-    if (base.endsWith('/')) base = base.slice(0, -1);
-    return base + '/' + encodeURIComponent(INSTANCE);
-  }
-  return base;
+/* ─────────────────────────────────────────────────────────────
+   DIAG — Network diagnostics from the command line
+   ─────────────────────────────────────────────────────────────
+   node diag.js evolution [--instance i] [--url URL] [--listen s] [--payloads]
+   node diag.js backend   [--destination d] [--url URL]
+   node diag.js proxy     [--proxy URL]
+   node diag.js all       [--listen s] [--payloads]
+
+   Settings come from the environment, `.env` and `--config` like
+   the layer's, and the probes are lib/diagnostics.js — the same
+   URLs, socket options, proxy tunnel and TLS checks as production.
+
+   --timeout ms  per step (default DIAG_TIMEOUT_MS)
+   --json        one JSON document on stdout
+   Exit codes: 0 ok (warnings included), 1 unexpected error,
+   2 usage / invalid config, 3 dns, 4 tcp, 5 tls, 6 proxy,
+   7 socket.io handshake, 8 not connected at the end of --listen
+   ───────────────────────────────────────────────────────────── */
+
+require("dotenv").config();
+
+const { parseArgs } = require("util");
+const { ConfigError, loadConfig } = require("./lib/config");
+const { routingFromConfig } = require("./lib/routing");
+const { redactUrl } = require("./lib/logger");
+const {
+  createEvolutionManager,
+  buildSocketOptions,
+  readInstanceNames,
+} = require("./lib/evolution");
+const { targetsFor, runTarget } = require("./lib/diagnostics");
+
+const USAGE = `Usage:
+  node diag.js evolution [--instance i] [--url URL] [--listen seconds] [--payloads]
+  node diag.js backend   [--destination d] [--url URL]
+  node diag.js proxy     [--proxy URL]
+  node diag.js all       [--listen seconds] [--payloads]
+Options: --timeout ms, --json, --config file`;
+
+const OPTIONS = {
+  instance: { type: "string" },
+  destination: { type: "string" },
+  url: { type: "string" },
+  proxy: { type: "string" },
+  listen: { type: "string" },
+  payloads: { type: "boolean" },
+  timeout: { type: "string" },
+  config: { type: "string" }, // read by loadConfig
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMANDS = ["evolution", "backend", "proxy", "all"];
+
+// The first failing step decides the exit code
+const EXIT = { unexpected: 1, usage: 2, dns: 3, tcp: 4, tls: 5, proxy: 6, socketio: 7, listen: 8 };
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error(USAGE);
+  process.exit(EXIT.usage);
 }
 
-async function run() {
-  const connectUrl = buildUrl();
-  console.log('Diagnostic run — connectUrl =', connectUrl);
-  console.log('Options:', { TOKEN: !!TOKEN, GLOBAL, ALLOW_POLLING });
+/** Settings as the layer would load them, with the command-line overrides */
+function settingsFor(command, values) {
+  const env = { ...process.env };
+  if (values.proxy) env.HTTPS_PROXY = values.proxy;
+  if (command === "evolution") {
+    env.WEBSOCKET_ENABLED = "true"; // the handshake is the point
+    if (values.url) env.EVOLUTION_API_URL = values.url;
+    if (values.instance) env.INSTANCE_NAMES = values.instance;
+  }
+  try {
+    return loadConfig({ env });
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    usage(`Invalid config:\n  - ${err.errors.join("\n  - ")}`);
+  }
+}
 
-  const opts = {
-    transports: ALLOW_POLLING ? ['polling', 'websocket'] : ['websocket'],
-    reconnection: false,
-    timeout: 10000,
-  };
-  if (TOKEN) opts.auth = { token: TOKEN };
+/** Instances the layer would connect, or the one asked for */
+function instancesOf(settings, values) {
+  if (values.instance) return [values.instance];
+  if (settings.WEBSOCKET_GLOBAL_EVENTS) return [null];
+  try {
+    return readInstanceNames(settings);
+  } catch (err) {
+    usage(`Cannot read INSTANCES_FILE: ${err.message}`);
+  }
+}
 
-  console.log('Attempting socket.io connection with options:', opts);
+function destinationsOf(settings, values) {
+  if (values.url) return [{ name: "url", url: values.url }];
+  let routing;
+  try {
+    routing = routingFromConfig(settings);
+  } catch (err) {
+    usage(err.message);
+  }
+  const all = Object.values(routing.destinations);
+  if (!values.destination) return all;
+  const picked = all.filter((d) => d.name === values.destination);
+  if (picked.length === 0) {
+    usage(`Unknown destination "${values.destination}" (known: ${all.map((d) => d.name).join(", ") || "none"})`);
+  }
+  return picked;
+}
 
-  const socket = io(connectUrl, opts);
+/* ───────── Listening ───────── */
 
-  socket.on('connect', () => {
-    console.log('Connected. id=', socket.id);
-    socket.close();
-    process.exit(0);
+/** Keep the layer's own connections open for a while and collect what arrives */
+async function listen(settings, instances, seconds, values) {
+  const events = [];
+  const manager = createEvolutionManager({
+    baseUrl: settings.EVOLUTION_API_URL,
+    socketOptions: buildSocketOptions({ allowPolling: settings.ALLOW_POLLING }),
+    onEvent: (event, payload, conn) => {
+      const entry = { at: new Date().toISOString(), instance: conn.instance, event };
+      if (values.payloads) entry.payload = payload;
+      events.push(entry);
+      if (!values.json) {
+        const body = values.payloads ? `  ${JSON.stringify(payload)}` : "";
+        console.log(`  ${entry.at}  ${conn.instance ?? "(global)"}  ${event}${body}`);
+      }
+    },
+    track: values.json ? undefined : (stage, status, detail) => console.log(`  [${stage}] ${status} ${detail}`),
   });
+  if (!values.json) console.log(`\nListening for ${seconds} s…`);
+  instances.forEach((name) => manager.add(name));
+  await new Promise((r) => setTimeout(r, seconds * 1000));
+  const connections = manager.status().map((c) => ({
+    instance: c.instance,
+    url: redactUrl(c.url),
+    state: c.state,
+    eventsReceived: c.eventsReceived,
+    lastError: c.lastError,
+  }));
+  manager.closeAll();
+  return { seconds, connections, events };
+}
 
-  socket.on('connect_error', (err) => {
-    console.error('connect_error received — full object:');
-    console.dir(err, { depth: null });
-    // err may include err.message and err.data
-    try {
-      console.error('message:', err && err.message);
-      console.error('data:', err && err.data);
-    } catch (e) {
-      console.error('Error printing err fields:', e);
-    }
-    socket.close();
-    process.exit(2);
-  });
+/* ───────── Output ───────── */
 
-  socket.on('error', (err) => {
-    console.error('error event:', err);
-  });
+const MARK = { ok: "✓", warn: "!", fail: "✗", skip: "–" };
 
-  socket.on('disconnect', (reason) => {
-    console.log('disconnect:', reason);
-  });
+function printResult(r) {
+  const verdict = r.ok ? (r.warn ? "warning" : "ok") : "FAILED";
+  console.log(`\n${r.kind} ${r.name}  ${r.url}  — ${verdict} (${r.durationMs} ms)`);
+  for (const st of r.steps) {
+    const ms = st.ms === undefined ? "" : `  ${st.ms} ms`;
+    console.log(`  ${MARK[st.status]} ${st.name.padEnd(9)} ${st.detail}${ms}`);
+  }
+}
+
+function exitCodeOf(results, listened) {
+  for (const r of results) {
+    const failed = r.steps.find((st) => st.status === "fail");
+    if (failed) return EXIT[failed.name] ?? EXIT.unexpected;
+  }
+  if (listened?.connections.some((c) => c.state !== "connected")) return EXIT.listen;
+  return 0;
+}
+
+/* ───────── Commands ───────── */
 
-  // Safety: timeout
-  setTimeout(() => {
-    console.error('Diagnostic timeout reached without connect or explicit error.');
-    try { socket.close(); } catch (e) {}
-    process.exit(3);
-  }, 15000);
+async function run() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  const [command] = positionals;
+  if (values.help || !command) usage();
+  if (!COMMANDS.includes(command)) usage(`Unknown command "${command}"`);
+  const seconds = values.listen === undefined ? 0 : Number(values.listen);
+  if (!(seconds >= 0)) usage("--listen needs a number of seconds");
+  if (seconds && !["evolution", "all"].includes(command)) usage("--listen works with evolution and all");
+  if (values.url && !["evolution", "backend"].includes(command)) usage("--url works with evolution and backend");
+
+  const settings = settingsFor(command, values);
+  const timeoutMs = values.timeout ? Number(values.timeout) : settings.DIAG_TIMEOUT_MS;
+  if (!(timeoutMs > 0)) usage("--timeout needs a number of milliseconds");
+  const proxyUrl = settings.HTTPS_PROXY || null;
+  if (command === "proxy" && !proxyUrl) usage("Set HTTPS_PROXY or pass --proxy");
+  const probe = (target, opts) =>
+    runTarget(target, { proxyUrl, timeoutMs, certWarnDays: settings.DIAG_CERT_WARN_DAYS, ...opts });
+
+  const instances = command !== "backend" && settings.WEBSOCKET_ENABLED ? instancesOf(settings, values) : [];
+  const targets = targetsFor(settings, {
+    destinations: command === "evolution" ? [] : destinationsOf(settings, values),
+    instances,
+  }).filter((t) => command !== "backend" || t.kind === "backend");
+  if (targets.length === 0) usage("Nothing to probe: no EVOLUTION_API_URL and no backend destination");
+  if (seconds > 0 && instances.length === 0) usage("--listen needs the Evolution socket (WEBSOCKET_ENABLED=true)");
+
+  const results = [];
+  if (command === "proxy") {
+    // The proxy itself, then a tunnel to every target through it
+    results.push(await probe({ kind: "proxy", name: "proxy", url: proxyUrl }, { proxyUrl: null }));
+    for (const target of targets) results.push(await probe(target, { steps: ["proxy"] }));
+  } else {
+    for (const target of targets) results.push(await probe(target));
+  }
+  if (!values.json) results.forEach(printResult);
+
+  const listened = seconds > 0 ? await listen(settings, instances, seconds, values) : null;
+
+  const exitCode = exitCodeOf(results, listened);
+  if (values.json) {
+    const proxy = proxyUrl ? redactUrl(proxyUrl) : null;
+    console.log(JSON.stringify({ ok: exitCode === 0, exitCode, proxy, results, listen: listened ?? undefined }, null, 2));
+  } else {
+    if (listened) {
+      const down = listened.connections.filter((c) => c.state !== "connected").length;
+      const note = down ? `, ${down} connection(s) not connected` : "";
+      console.log(`\n${listened.events.length} event(s) in ${seconds} s${note}`);
+    }
+    const failedStep = Object.keys(EXIT).find((k) => EXIT[k] === exitCode);
+    console.log(exitCode === 0 ? "\nAll checks passed." : `\nFailed: ${failedStep} (exit ${exitCode})`);
+  }
+  process.exit(exitCode);
 }
 
-run().catch(err => {
-  console.error('Unexpected diag error:', err);
-  process.exit(4);
+run().catch((err) => {
+  console.error(`Unexpected diag error: ${err.stack || err.message}`);
+  process.exit(EXIT.unexpected);
 });
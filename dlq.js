@@ -0,0 +1,155 @@
+/* ─────────────────────────────────────────────────────────────
+   DLQ — Dead-letter command line, over the running layer's admin API
+   ─────────────────────────────────────────────────────────────
+   node dlq.js list    [--destination d] [--instance i] [--reason r] [--limit n]
+   node dlq.js show    <id>
+   node dlq.js replay  <id> [--url https://…]
+   node dlq.js replay  --all [--url https://…] [filters] [--limit n]
+   node dlq.js purge   <id>
+   node dlq.js purge   --all | [filters]
+
+   ADMIN_URL  layer address (default http://localhost:$PORT)
+   ADMIN_KEY  one admin key secret (default: the first of ADMIN_KEYS)
+   --json     print the raw API answer
+   ───────────────────────────────────────────────────────────── */
+
+require("dotenv").config();
+
+const { parseArgs } = require("util");
+const axios = require("axios");
+const { parseSigningKeys } = require("./lib/signing");
+
+const USAGE = `Usage:
+  node dlq.js list   [--destination d] [--instance i] [--reason r] [--limit n]
+  node dlq.js show   <id>
+  node dlq.js replay <id> [--url URL]
+  node dlq.js replay --all [--url URL] [--destination d] [--instance i] [--reason r] [--limit n]
+  node dlq.js purge  <id>
+  node dlq.js purge  --all | [--destination d] [--instance i] [--reason r]`;
+
+const OPTIONS = {
+  destination: { type: "string" },
+  instance: { type: "string" },
+  reason: { type: "string" },
+  limit: { type: "string" },
+  url: { type: "string" },
+  all: { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error(USAGE);
+  process.exit(2);
+}
+
+function client() {
+  const port = process.env.PORT || process.env.FRONT_WS_PORT || 4000;
+  const baseURL = `${(process.env.ADMIN_URL || `http://localhost:${port}`).replace(/\/+$/, "")}/admin`;
+  const key = process.env.ADMIN_KEY || parseSigningKeys(process.env.ADMIN_KEYS || "")[0]?.secret;
+  if (!key) usage("Set ADMIN_KEY (or ADMIN_KEYS) to an admin key.");
+  return axios.create({
+    baseURL,
+    headers: { "x-admin-key": key },
+    timeout: 30 * 60 * 1000, // replaying everything waits for the backends
+    validateStatus: () => true,
+    proxy: false,
+  });
+}
+
+const filterOf = (values) => {
+  const filter = {};
+  for (const key of ["destination", "instance", "reason"]) if (values[key]) filter[key] = values[key];
+  return filter;
+};
+
+/* ───────── Output ───────── */
+
+function printList(entries) {
+  if (entries.length === 0) return console.log("No dead letters.");
+  for (const e of entries) {
+    const failure = e.status ?? e.code ?? "n/a";
+    console.log(
+      [e.id, e.deadAt, e.destination, e.reason, failure, `${e.attempts} att.`, e.instance, e.event]
+        .map((v) => String(v ?? "-"))
+        .join("  "),
+    );
+  }
+  console.log(`\n${entries.length} entr${entries.length === 1 ? "y" : "ies"}`);
+}
+
+function printReplay(r) {
+  const outcome = r.ok ? `ok (HTTP ${r.status})` : `failed (${r.status ?? r.code ?? r.error})`;
+  console.log(`${r.id}  → ${r.url ?? "-"}  ${outcome}`);
+}
+
+/* ───────── Commands ───────── */
+
+async function run() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, id] = positionals;
+  if (values.help || !command) usage();
+
+  const api = client();
+  const limit = values.limit ? Number(values.limit) : undefined;
+  let res;
+
+  switch (command) {
+    case "list":
+      res = await api.get("/dead-letters", { params: { ...filterOf(values), limit } });
+      break;
+    case "show":
+      if (!id) usage("show needs an id");
+      res = await api.get(`/dead-letters/${encodeURIComponent(id)}`);
+      break;
+    case "replay":
+      if (id) res = await api.post(`/dead-letters/${encodeURIComponent(id)}/replay`, { url: values.url });
+      else if (values.all || Object.keys(filterOf(values)).length > 0) {
+        res = await api.post("/dead-letters/replay", { ...filterOf(values), limit, url: values.url });
+      } else usage("replay needs an id, --all or a filter");
+      break;
+    case "purge":
+      if (id) res = await api.delete(`/dead-letters/${encodeURIComponent(id)}`);
+      else if (values.all || Object.keys(filterOf(values)).length > 0) {
+        res = await api.delete("/dead-letters", {
+          params: { ...filterOf(values), all: values.all ? "true" : undefined },
+        });
+      } else usage("purge needs an id, --all or a filter");
+      break;
+    default:
+      usage(`Unknown command "${command}"`);
+  }
+
+  const body = res.data;
+  if (res.status >= 400) {
+    console.error(`Error ${res.status}: ${body?.error || "request failed"}${body?.message ? ` — ${body.message}` : ""}`);
+    process.exit(1);
+  }
+  if (values.json || command === "show") {
+    console.log(JSON.stringify(body, null, 2));
+  } else if (command === "list") {
+    printList(body);
+  } else if (command === "replay" && id) {
+    printReplay(body);
+  } else if (command === "replay") {
+    body.results.forEach(printReplay);
+    console.log(`\n${body.replayed}/${body.total} replayed, ${body.failed} failed`);
+  } else {
+    console.log(`Purged ${body.purged}.`);
+  }
+  // Replays that did not go through are a failure for scripts
+  const failed = command === "replay" && (id ? !body.ok : body.failed > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+run().catch((err) => {
+  console.error(`Cannot reach the admin API: ${err.code || ""} ${err.message}`);
+  process.exit(1);
+});
@@ -6,370 +6,1230 @@
    • Broadcasts to frontend browsers via Socket.IO (Stage 1)
    • Supports outbound HTTPS proxy to bypass ISP/edge blocks
    • Exponential-backoff retries on ECONNRESET / ETIMEDOUT / 5xx
-   • Pre-flight TLS handshake diagnostics on startup
+   • DNS / TCP / TLS / proxy diagnostics of Evolution and every
+     backend — at boot, on a schedule and after repeated failures
+   • Durable on-disk outbox — forwards survive restarts & outages
+   • HMAC-SHA256 signed forwards with rotating keys
+   • Token-authenticated browser joins with per-role event filters
+   • Per-instance event history so reconnecting browsers catch up
+   • Prometheus `/metrics` for the whole pipeline
+   • Levelled pretty / JSON logging with secret & phone redaction
+   • Circuit breaker in front of backend forwarding
+   • Per-instance ordered forward queue with bounded concurrency
+   • Rule-based routing / fan-out to several backend destinations
+   • Evolution / Baileys messages normalized into one body schema
+   • Dotted and UPPER_SNAKE event names accepted, one canonical name out
+   • Inline base64 media stored locally / in S3, forwarded as signed URLs
+   • Agent actions (send / read / presence) proxied to Evolution REST
+   • Evolution webhook ingestion beside the socket
+   • Repeated events dropped; forwards carry a stable Idempotency-Key
+   • Optional cluster mode: front Socket.IO on every core, one owner
+     worker for Evolution and forwarding
+   • Key-protected admin API (connections, rooms, queues, actions)
+     with an audit log, and a live `/dashboard` over Socket.IO `/admin`
+   • Dead-letter store for forwards given up on, with manual replay
+   • Schema-validated config from env and an optional JSON / YAML
+     file; `--check-config` validates and exits
+   • SIGHUP / admin reload swaps filters, origins, destinations and
+     secrets in place, keeping the running config on a bad edit
+   • `/live`, check-based `/ready` (503 when failing) and a per-check
+     `/status` with the time each last changed
+   • Latest network diagnostics per target at `/diagnostics`
    ───────────────────────────────────────────────────────────── */
 
-require("dotenv").config();
+// `.env` only fills gaps in the real environment — on boot and on reload
+const envKeysBeforeDotenv = new Set(Object.keys(process.env));
+const dotenv = require("dotenv");
+dotenv.config();
 
-const { io: ioClient } = require("socket.io-client");
 const express = require("express");
 const http = require("http");
-const tls = require("tls");
-const dns = require("dns");
+const fs = require("fs");
+const cluster = require("cluster");
+const crypto = require("crypto");
+const path = require("path");
 const { Server } = require("socket.io");
-const axios = require("axios");
-const axiosRetry = require("axios-retry").default || require("axios-retry");
+const { createAdapter } = require("@socket.io/cluster-adapter");
+const { setupWorker } = require("@socket.io/sticky");
 const { HttpsProxyAgent } = require("https-proxy-agent");
+const { createOutbox } = require("./lib/outbox");
+const { createForwardQueue } = require("./lib/forward-queue");
+const { createForwardClient, forwardRequest } = require("./lib/forward-client");
+const {
+  verifyFrontToken,
+  roleFor,
+  rolesForEvent,
+  roleAllows,
+  tokenFromHandshake,
+} = require("./lib/front-auth");
+const { createEventHistory } = require("./lib/history");
+const { createMetrics, aggregateMetrics } = require("./lib/metrics");
+const { createLogger, redactUrl } = require("./lib/logger");
+const { createCircuitBreaker } = require("./lib/circuit-breaker");
+const {
+  createEvolutionManager,
+  buildSocketOptions,
+  readInstanceNames,
+} = require("./lib/evolution");
+const { normalizeMessage, messagesFromPayload } = require("./lib/messages");
+const { canonicalEvent, normalizeEventPatterns } = require("./lib/events");
+const { matchesAny, parseList } = require("./lib/patterns");
+const { createIngestGuard, parseDelivery, instanceFromPayload } = require("./lib/ingest");
+const {
+  fingerprintEvent,
+  occurrenceOf,
+  idempotencyKey,
+  createDedupCache,
+} = require("./lib/dedup");
+const {
+  createLocalStore,
+  createS3Store,
+  createMediaHandler,
+  verifyMediaSignature,
+  isMediaKey,
+  mediaSegment,
+} = require("./lib/media");
+const {
+  ActionError,
+  ACTION_NAMES,
+  roleMayAct,
+  createActionClient,
+} = require("./lib/actions");
+const {
+  OWNER_ROLE,
+  runPrimary,
+  createWorkerBridge,
+} = require("./lib/cluster");
+const {
+  AdminError,
+  createAuditLog,
+  createAdminRouter,
+} = require("./lib/admin");
+const { attachDashboard } = require("./lib/dashboard");
+const { createDeadLetterStore } = require("./lib/dead-letter");
+const { createHealth, evolutionCheck } = require("./lib/health");
+const { createDiagnostics, targetsFor } = require("./lib/diagnostics");
+const {
+  ConfigError,
+  loadConfig,
+  planReload,
+  configSecrets,
+  summarizeConfig,
+} = require("./lib/config");
+const {
+  DEFAULT_DESTINATION,
+  RoutingConfigError,
+  routingFromConfig,
+  createRouter,
+} = require("./lib/routing");
 
-/* ───────── Helpers ───────── */
+/* ───────── Environment ───────── */
 
-const track = (stage, status, detail = "") => {
-  const time = new Date().toISOString();
-  const icon =
-    status === "ERROR" ? "❌" : status === "SUCCESS" ? "✅" : "ℹ️";
-  console.log(
-    `[${time}] ${icon} [${stage.padEnd(12)}] ${status.padEnd(8)} | ${detail}`,
-  );
-};
+// Variables that came from `.env`, re-read from the file on reload. Workers
+// inherit them from the primary and are told which they are.
+const DOTENV_KEYS =
+  process.env.WN_DOTENV_KEYS !== undefined
+    ? parseList(process.env.WN_DOTENV_KEYS)
+    : Object.keys(process.env).filter((k) => !envKeysBeforeDotenv.has(k));
+
+/** The environment as a restart would see it: `.env` read again, real variables first */
+function currentEnv() {
+  const env = { ...process.env };
+  for (const key of DOTENV_KEYS) delete env[key];
+  let fromFile = {};
+  try {
+    fromFile = dotenv.parse(fs.readFileSync(path.resolve(".env")));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new ConfigError([`.env: ${err.message}`]);
+  }
+  return { ...fromFile, ...env };
+}
 
-const mask = (val = "", show = 4) =>
-  val.length > show ? val.slice(0, show) + "••••" : "***";
+// Environment plus the optional CONFIG_FILE, validated as a whole — a bad
+// setting stops the boot with every problem listed (see lib/config.js).
+// Settings marked `reload` in the schema are read as `settings.X`, so a
+// reload switches them over with one assignment.
+let settings;
+try {
+  settings = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
-/* ───────── Environment ───────── */
+const {
+  WEBSOCKET_ENABLED,
+  WEBSOCKET_GLOBAL_EVENTS,
+  EVOLUTION_API_URL,
+  EVOLUTION_REST_URL,
+  EVOLUTION_API_KEY,
+  ACTION_TIMEOUT_MS,
+  INSTANCE_NAME,
+  INSTANCE_NAMES,
+  INSTANCES_FILE,
+  ALLOW_POLLING,
+  INGEST_ENABLED,
+  INGEST_BODY_LIMIT,
+  DEDUP_TTL_MS,
+  DEDUP_HASH_WINDOW_MS,
+  DEDUP_MAX_ENTRIES,
+  ADMIN_AUDIT_FILE,
+  FRONT_WS_PORT,
+  FRONT_WS_PATH,
+  TRUST_PROXY,
+  FRONT_HISTORY_SIZE,
+  INCLUDE_RAW,
+  RAW_MAX,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_RESET_MS,
+  OUTBOX_ENABLED,
+  OUTBOX_DIR,
+  DEAD_LETTER_ENABLED,
+  DEAD_LETTER_DIR,
+  QUEUE_CONCURRENCY,
+  QUEUE_MAX_LENGTH,
+  QUEUE_OVERFLOW,
+  QUEUE_RETRY_DELAY_MS,
+  QUEUE_MAX_RETRY_DELAY_MS,
+  QUEUE_MAX_ATTEMPTS,
+  MEDIA_STORE,
+  MEDIA_DIR,
+  MEDIA_PUBLIC_URL,
+  MEDIA_URL_SECRET,
+  MEDIA_URL_TTL_SEC,
+  MEDIA_MAX_BYTES,
+  CLUSTER_WORKERS,
+  HTTPS_PROXY: PROXY_URL,
+  DIAG_INTERVAL_MS,
+  DIAG_TIMEOUT_MS,
+  DIAG_CERT_WARN_DAYS,
+  DIAG_FAILURE_THRESHOLD,
+  LOG_FORMAT,
+  LOG_REDACT_PHONES,
+} = settings;
+
+const IS_WORKER = CLUSTER_WORKERS > 1 && cluster.isWorker;
+// The owner (or the single process) runs Evolution, forwarding and outboxes
+const OWNS_PIPELINE = !IS_WORKER || process.env.CLUSTER_ROLE === OWNER_ROLE;
+
+/* ───────── Logging ───────── */
+
+/** Every configured secret — redacted from all log output */
+function secretValues() {
+  return configSecrets(settings);
+}
+
+const logger = createLogger({
+  level: settings.LOG_LEVEL,
+  format: LOG_FORMAT,
+  secrets: secretValues(),
+  redactPhones: LOG_REDACT_PHONES,
+});
+
+/** track(stage, status, detail, fields?) — the pipeline's log call */
+const track = logger.track;
 
-const WEBSOCKET_ENABLED =
-  (process.env.WEBSOCKET_ENABLED || "").toLowerCase() === "true";
-const WEBSOCKET_GLOBAL_EVENTS =
-  (process.env.WEBSOCKET_GLOBAL_EVENTS || "").toLowerCase() === "true";
-const EVOLUTION_API_URL = process.env.EVOLUTION_API_URL;
-const INSTANCE_NAME = process.env.INSTANCE_NAME || "";
-const EVENTS = (process.env.EVENTS || "")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-const FRONT_WS_PORT = Number(
-  process.env.PORT || process.env.FRONT_WS_PORT || 4000,
-);
-const FRONT_ORIGIN = (process.env.FRONT_ORIGIN || "*")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
-const FRONT_WS_PATH = process.env.FRONT_WS_PATH || "/ws";
-const TRUST_PROXY =
-  (process.env.TRUST_PROXY || "true").toLowerCase() === "true";
-
-const BACKEND_URL = process.env.BACKEND_URL || "";
-const FORWARDER_API_KEY =
-  process.env.BACKEND_API_KEY || process.env.EVOLUTION_API_KEY || "";
-const FORWARDER_WEBHOOK_SECRET =
-  process.env.BACKEND_WEBHOOK_SECRET ||
-  process.env.EVOLUTION_WEBHOOK_SECRET ||
-  "";
-const FORWARD_EVENTS = (process.env.FORWARD_EVENTS || "")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
-const INCLUDE_RAW =
-  (process.env.INCLUDE_RAW || "false").toLowerCase() === "true";
-const RAW_MAX = parseInt(process.env.RAW_MAX, 10) || 512;
-
-const FORWARD_TIMEOUT_MS =
-  parseInt(process.env.FORWARD_TIMEOUT_MS, 10) || 10000;
-const FORWARD_RETRIES = parseInt(process.env.FORWARD_RETRIES, 10) || 4;
-
-// Proxy — set HTTPS_PROXY or HTTP_PROXY in .env to tunnel outbound traffic
-const PROXY_URL =
-  process.env.HTTPS_PROXY ||
-  process.env.HTTP_PROXY ||
-  process.env.https_proxy ||
-  process.env.http_proxy ||
-  "";
+/* ───────── Config check ───────── */
+
+// `node index.js --check-config` — validate (above), print the summary and
+// exit, so CI catches a bad deploy config before it ships
+if (process.argv.includes("--check-config")) {
+  const summary = summarizeConfig(settings, createRouter(loadRouting()));
+  if (logger.pretty) printConfig(summary);
+  track("SYS", "SUCCESS", "Config is valid", logger.pretty ? undefined : { config: summary });
+  process.exit(0);
+}
+
+/* ───────── Cluster primary ───────── */
+
+// The primary only balances connections and restarts workers; everything
+// below runs in the workers, or in the single process without clustering
+if (CLUSTER_WORKERS > 1 && cluster.isPrimary) {
+  runPrimary({
+    workers: CLUSTER_WORKERS,
+    port: FRONT_WS_PORT,
+    // Media links are signed by the owner but served by any worker
+    env: {
+      MEDIA_URL_SECRET: MEDIA_URL_SECRET || crypto.randomBytes(32).toString("hex"),
+      WN_DOTENV_KEYS: DOTENV_KEYS.join(","),
+    },
+    track,
+  });
+  return;
+}
+
+/* ───────── Routing ───────── */
+
+/** Routing table of a config: ROUTES_FILE, or BACKEND_URL as the single destination */
+function loadRouting() {
+  try {
+    return routingFromConfig(settings);
+  } catch (err) {
+    track("ROUTING", "ERROR", err.message);
+    process.exit(1);
+  }
+}
+
+let router = createRouter(loadRouting());
+
+/** Config secrets plus destination credentials — everything redacted from logs */
+function logSecrets() {
+  return [
+    ...secretValues(),
+    ...Object.values(router.destinations).flatMap((d) => [
+      d.apiKey,
+      d.webhookSecret,
+      ...d.signingKeys.map((k) => k.secret),
+      ...Object.values(d.headers),
+    ]),
+  ];
+}
+logger.setSecrets(logSecrets());
 
 /* ================================================================
-   STAGE 0 — PRE-FLIGHT TLS HANDSHAKE DIAGNOSTICS
+   STAGE 0 — NETWORK DIAGNOSTICS  (Evolution + every backend)
    ================================================================ */
 
-async function preflightCheck(targetUrl) {
-  if (!targetUrl) return;
+/** What to probe — read per run, so reloaded destinations are included */
+function diagnosticTargets() {
+  return targetsFor(settings, {
+    destinations: [...destinations.values()].map((d) => d.config),
+    // One handshake per run, as the first connection makes it
+    instances: [WEBSOCKET_GLOBAL_EVENTS ? null : evolution?.names()[0] ?? null],
+  });
+}
+
+// Only the pipeline owner talks to Evolution and the backends
+const diagnostics = OWNS_PIPELINE
+  ? createDiagnostics({
+      targets: diagnosticTargets,
+      proxyUrl: PROXY_URL,
+      intervalMs: DIAG_INTERVAL_MS,
+      timeoutMs: DIAG_TIMEOUT_MS,
+      certWarnDays: DIAG_CERT_WARN_DAYS,
+      failureThreshold: DIAG_FAILURE_THRESHOLD,
+      track,
+    })
+  : null;
+
+/* ================================================================
+   STAGE 1 — FRONT-END SOCKET.IO SERVER  (Browser Broadcasting)
+   ================================================================ */
+
+// One agent for everything outbound over HTTP: backend forwards and agent actions
+const proxyAgent = PROXY_URL ? new HttpsProxyAgent(PROXY_URL) : null;
+
+let evolution = null; // connection manager — referenced by /ready and shutdown
+const destinations = new Map(); // name → { config, api, breaker, outbox, queue } (Stage 3)
+
+const app = express();
+if (TRUST_PROXY) app.set("trust proxy", 1);
+
+// Instances named in the config — with the open connections, the ones metrics label
+const namedInstances = new Set(resolveInstanceNames() || []);
+
+const metrics = createMetrics({
+  frontRooms: () => instanceRooms(),
+  evolution: () => evolution?.status() || [],
+  outboxPending: () => mapDestinations((d) => d.outbox?.size() ?? 0),
+  queueDepth: () => mapDestinations((d) => d.queue.depth()),
+  deadLetters: () => deadLetters?.size() ?? 0,
+  isKnownInstance: (name) => namedInstances.has(name) || !!evolution?.get(name),
+});
 
-  let parsed;
+app.get("/health", (_, res) => res.send("ok"));
+
+/* ───────── Media attachments ───────── */
+
+/** Storage backend picked by MEDIA_STORE (null = keep base64 inline) */
+function createMediaStore() {
+  if (!MEDIA_STORE) return null;
+  if (MEDIA_STORE === "local") return createLocalStore({ dir: MEDIA_DIR });
+  return createS3Store({
+    endpoint: settings.MEDIA_S3_ENDPOINT,
+    bucket: settings.MEDIA_S3_BUCKET,
+    region: settings.MEDIA_S3_REGION,
+    accessKeyId: settings.MEDIA_S3_ACCESS_KEY,
+    secretAccessKey: settings.MEDIA_S3_SECRET_KEY,
+    prefix: settings.MEDIA_S3_PREFIX,
+  });
+}
+
+const mediaStore = createMediaStore();
+// Without a configured secret, links only stay valid until the next restart
+const mediaSecret = MEDIA_URL_SECRET || crypto.randomBytes(32).toString("hex");
+const mediaHandler = mediaStore
+  ? createMediaHandler({
+      store: mediaStore,
+      publicUrl: MEDIA_PUBLIC_URL,
+      secret: mediaSecret,
+      ttlSec: MEDIA_URL_TTL_SEC,
+      maxBytes: MEDIA_MAX_BYTES,
+      track,
+    })
+  : null;
+if (mediaStore && !MEDIA_URL_SECRET) {
+  track("MEDIA", "WARN", "MEDIA_URL_SECRET not set — media links expire on restart");
+}
+
+/** A signed link, or a front token granted the instance (the decoded name) */
+function mediaAccessAllowed(req, key) {
+  if (verifyMediaSignature(key, req.query, mediaSecret)) return true;
+  if (settings.FRONT_AUTH_SECRETS.length === 0) return false;
   try {
-    parsed = new URL(targetUrl);
+    const auth = verifyFrontToken(tokenFromHandshake(req), settings.FRONT_AUTH_SECRETS);
+    return roleFor(auth, req.params.instance) !== undefined;
   } catch {
-    track("PREFLIGHT", "ERROR", `Invalid BACKEND_URL: ${targetUrl}`);
-    return;
+    return false;
+  }
+}
+
+app.get("/media/:instance/:file", async (req, res) => {
+  // Express decodes the segment; re-encoding gives the stored key back
+  const key = `${mediaSegment(req.params.instance)}/${req.params.file}`;
+  if (!mediaStore || !isMediaKey(key)) return res.status(404).end();
+  if (!mediaAccessAllowed(req, key)) {
+    return res.status(403).json({ error: "forbidden" });
   }
+  try {
+    const obj = await mediaStore.get(key);
+    if (!obj) return res.status(404).end();
+    res.set({
+      "Content-Type": obj.contentType,
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    });
+    if (obj.size) res.set("Content-Length", String(obj.size));
+    obj.stream.on("error", () => res.destroy()).pipe(res);
+  } catch (err) {
+    track("MEDIA", "ERROR", `Reading ${key} failed: ${err.message}`);
+    res.status(502).end();
+  }
+});
 
-  const host = parsed.hostname;
-  const port = parsed.port || (parsed.protocol === "https:" ? 443 : 80);
-  const isHttps = parsed.protocol === "https:";
+/* ───────── Agent actions ───────── */
+
+// Only token-authenticated sockets may act, with the server-side key.
+// Evolution REST calls leave through HTTPS_PROXY like backend forwards.
+function actionClientFor(s) {
+  return s.FRONT_AUTH_SECRETS.length > 0 && EVOLUTION_API_KEY && EVOLUTION_REST_URL
+    ? createActionClient({
+        baseUrl: EVOLUTION_REST_URL,
+        apiKey: EVOLUTION_API_KEY,
+        timeoutMs: ACTION_TIMEOUT_MS,
+        httpAgent: proxyAgent || undefined,
+        httpsAgent: proxyAgent || undefined,
+      })
+    : null;
+}
+let actionClient = actionClientFor(settings);
+
+/** Authorize and perform one agent action — always acks `{ ok, ... }` */
+async function runAgentAction(sock, action, payload, cb) {
+  const ack = typeof cb === "function" ? cb : () => {};
+  const instance = payload?.instance;
+  const fields = { instance, action, sub: sock.data.auth?.sub };
+  const fail = (error, message, extra = {}) => {
+    metrics.frontActions.inc({ action, result: error });
+    track("ACTION", "ERROR", `${sock.id} ${action} failed (${error}): ${message}`, fields);
+    ack({ ok: false, error, message, ...extra });
+  };
 
-  track("PREFLIGHT", "INFO", `Target: ${host}:${port} (${parsed.protocol})`);
+  // A socket linked before a reload turned auth on has no token to act with
+  if (!actionClient || !sock.data.auth) {
+    return fail(
+      "actions_disabled",
+      "Agent actions need FRONT_AUTH_SECRETS and EVOLUTION_API_KEY",
+    );
+  }
+  if (typeof instance === "string" && instance) {
+    const role = roleFor(sock.data.auth, instance);
+    if (role === undefined) {
+      return fail("forbidden_instance", `Token does not cover ${instance}`);
+    }
+    if (!roleMayAct(settings.FRONT_ROLE_ACTIONS, role, action)) {
+      return fail("forbidden_action", `Role ${role} may not ${action}`);
+    }
+  }
 
-  // ── DNS Resolution ──
   try {
-    const addresses = await dns.promises.resolve4(host);
-    track("PREFLIGHT", "SUCCESS", `DNS resolved: ${addresses.join(", ")}`);
-  } catch (err) {
+    const result = await actionClient.perform(action, payload);
+    metrics.frontActions.inc({ action, result: "ok" });
     track(
-      "PREFLIGHT",
-      "ERROR",
-      `DNS resolution failed: ${err.code} — ${err.message}`,
+      "ACTION",
+      "SUCCESS",
+      `${action} → ${result.instance}${result.messageId ? ` (id ${result.messageId})` : ""}`,
+      fields,
     );
-    return;
+    ack({ ok: true, action, ...result });
+  } catch (err) {
+    if (!(err instanceof ActionError)) return fail("internal_error", err.message);
+    const extra = {};
+    if (err.status) extra.status = err.status;
+    if (err.errors) extra.errors = err.errors;
+    fail(err.code, err.message, extra);
   }
+}
 
-  // ── TCP + TLS Handshake (HTTPS targets only) ──
-  if (isHttps) {
-    await new Promise((resolve) => {
-      const sock = tls.connect(
-        {
-          host,
-          port: Number(port),
-          servername: host,
-          timeout: 8000,
-          rejectUnauthorized: true,
-        },
-        () => {
-          const proto = sock.getProtocol?.() || "unknown";
-          const cipher = sock.getCipher?.()?.name || "unknown";
-          const cert = sock.getPeerCertificate?.();
-          const cn = cert?.subject?.CN || "n/a";
-          const validTo = cert?.valid_to || "n/a";
-          track(
-            "PREFLIGHT",
-            "SUCCESS",
-            `TLS OK — proto=${proto}, cipher=${cipher}, CN=${cn}, validTo=${validTo}`,
-          );
-          sock.end();
-          resolve();
-        },
-      );
+app.get("/metrics", async (_, res) => {
+  try {
+    res.set("Content-Type", metrics.registry.contentType);
+    if (!IS_WORKER) return res.send(await metrics.registry.metrics());
+    const replies = await clusterBridge.collect("metrics");
+    const registry = aggregateMetrics(replies.filter((r) => r.result).map((r) => r.result));
+    res.send(await registry.metrics());
+  } catch (err) {
+    res.status(500).send(String(err));
+  }
+});
+/* ───────── Health ───────── */
+
+// Pipeline checks are skipped outside the owner; every process checks its event loop
+const health = createHealth({
+  checks: {
+    evolution: () => {
+      if (!OWNS_PIPELINE || !WEBSOCKET_ENABLED) return null;
+      if (!evolution) return { ok: false, detail: "not started" };
+      return evolutionCheck(evolution.status());
+    },
+    circuit: () => {
+      if (destinations.size === 0) return null;
+      const open = [...destinations]
+        .filter(([, d]) => d.breaker.snapshot().state === "open")
+        .map(([name]) => name);
+      return { ok: open.length === 0, detail: open.length ? `open: ${open.join(", ")}` : "none open" };
+    },
+    outbox: () => {
+      if (destinations.size === 0) return null;
+      let pending = 0;
+      for (const d of destinations.values()) pending += d.outbox ? d.outbox.size() : d.queue.size();
+      return {
+        ok: pending < settings.READY_OUTBOX_MAX,
+        detail: `${pending} pending (limit ${settings.READY_OUTBOX_MAX})`,
+      };
+    },
+  },
+  required: () => settings.READY_CHECKS,
+  maxLagMs: () => settings.READY_MAX_LAG_MS,
+  track,
+});
 
-      sock.on("error", (err) => {
-        track(
-          "PREFLIGHT",
-          "ERROR",
-          `TLS handshake FAILED — code=${err.code || "n/a"}, errno=${err.errno || "n/a"}, msg=${err.message}`,
-        );
-        track(
-          "PREFLIGHT",
-          "INFO",
-          "⚠️  This strongly suggests an ISP/edge filter is resetting the connection. Configure HTTPS_PROXY to bypass.",
-        );
-        resolve();
-      });
+// Liveness: the process answers. Readiness: it should get traffic.
+app.get("/live", (_, res) => res.json({ live: true, uptime: process.uptime() }));
 
-      sock.on("timeout", () => {
-        track("PREFLIGHT", "ERROR", "TLS handshake timed out (8 s)");
-        sock.destroy();
-        resolve();
-      });
-    });
+app.get("/ready", async (_, res) => {
+  try {
+    const body = IS_WORKER ? mergeReady(await clusterBridge.collect("ready")) : readySnapshot();
+    res.status(body.ready ? 200 : 503).json(body);
+  } catch (err) {
+    res.status(503).json({ ready: false, error: err.message });
   }
+});
 
-  // ── Proxy reachability (if configured) ──
-  if (PROXY_URL) {
-    track("PREFLIGHT", "INFO", `Proxy configured: ${mask(PROXY_URL, 20)}`);
-    try {
-      const agent = new HttpsProxyAgent(PROXY_URL);
-      const testRes = await axios.head(targetUrl, {
-        httpAgent: agent,
-        httpsAgent: agent,
-        timeout: 8000,
-        validateStatus: () => true,
-      });
-      track(
-        "PREFLIGHT",
-        "SUCCESS",
-        `Proxy HEAD check returned HTTP ${testRes.status}`,
-      );
-    } catch (err) {
-      track(
-        "PREFLIGHT",
-        "ERROR",
-        `Proxy HEAD check failed — ${err.code || ""} ${err.message}`,
-      );
-    }
+app.get("/status", async (_, res) => {
+  try {
+    const body = IS_WORKER ? mergeStatus(await clusterBridge.collect("status")) : statusSnapshot();
+    res.status(body.ready ? 200 : 503).json(body);
+  } catch (err) {
+    res.status(503).json({ ready: false, error: err.message });
   }
-}
+});
 
-/* ================================================================
-   STAGE 1 — FRONT-END SOCKET.IO SERVER  (Browser Broadcasting)
-   ================================================================ */
+// Latest DNS/TCP/TLS/proxy probe per target; the owner runs them
+app.get("/diagnostics", async (_, res) => {
+  try {
+    res.json({ proxy: !!PROXY_URL, targets: await pipelineOp("diagnostics")() });
+  } catch (err) {
+    res.status(err.status || 503).json({ ok: false, error: err.code || "unavailable", message: err.message });
+  }
+});
 
-let evoSocket = null; // referenced by /ready and shutdown
+/** This process's part of `/status` */
+function statusSnapshot() {
+  return { ...health.status(), uptime: process.uptime() };
+}
 
-const app = express();
-if (TRUST_PROXY) app.set("trust proxy", 1);
+/** Cluster `/status`: the owner's checks; every worker's own verdict */
+function mergeStatus(replies) {
+  const owner = replies.find((r) => r.owner && r.result)?.result;
+  const workers = replies.map((r) => ({
+    id: r.workerId,
+    owner: r.owner,
+    ready: r.result?.ready ?? false,
+    since: r.result?.since ?? null,
+    failing: r.result?.failing ?? [],
+    eventLoop: r.result?.checks.event_loop ?? null,
+    error: r.error || undefined,
+  }));
+  return {
+    ready: !!owner && workers.every((w) => w.ready),
+    since: owner?.since ?? null,
+    failing: [...new Set(workers.flatMap((w) => w.failing))],
+    degraded: owner?.degraded ?? [],
+    checks: owner?.checks ?? {},
+    workers,
+  };
+}
 
-app.get("/health", (_, res) => res.send("ok"));
-app.get("/ready", (_, res) =>
-  res.json({
-    ready: true,
-    evoConnected: !!evoSocket?.connected,
+/** This process's part of `/ready` */
+function readySnapshot() {
+  const { ready, failing, degraded } = health.status();
+  return {
+    ready,
+    failing,
+    degraded,
+    evoConnected: !!evolution?.anyConnected(),
+    evolution: evolution
+      ? evolution
+          .status()
+          .map(({ key, state, eventsReceived, reconnectAttempts }) => ({
+            instance: key,
+            state,
+            eventsReceived,
+            reconnectAttempts,
+          }))
+      : [],
     proxy: !!PROXY_URL,
+    ingest: ingestGuard ? { ...ingestStats } : null,
+    destinations: mapDestinations((d) => ({
+      url: redactUrl(d.config.url),
+      outboxPending: d.outbox ? d.outbox.size() : null,
+      queue: d.queue.depth(),
+      circuit: d.breaker.snapshot(),
+    })),
     uptime: process.uptime(),
-  }),
-);
+  };
+}
+
+/** Cluster `/ready`: the owner's pipeline state plus one line per worker */
+function mergeReady(replies) {
+  const owner = replies.find((r) => r.owner && r.result)?.result;
+  return {
+    ...(owner || { ready: false, evoConnected: false, evolution: [], destinations: {} }),
+    ready: !!owner && replies.every((r) => r.result?.ready),
+    failing: [...new Set(replies.flatMap((r) => r.result?.failing ?? []))],
+    workers: replies.map((r) => ({
+      id: r.workerId,
+      owner: r.owner,
+      ready: r.result?.ready ?? false,
+      pid: r.result?.worker.pid ?? null,
+      sockets: r.result?.worker.sockets ?? null,
+      uptime: r.result?.uptime ?? null,
+      error: r.error || undefined,
+    })),
+  };
+}
 
 const httpServer = http.createServer(app);
 const ioFront = new Server(httpServer, {
   path: FRONT_WS_PATH,
   cors: {
-    origin: FRONT_ORIGIN,
+    // Looked up per request, so a reload changes the allowed origins
+    origin: (origin, cb) =>
+      cb(null, settings.FRONT_ORIGIN.includes("*") || settings.FRONT_ORIGIN),
     credentials: true,
     methods: ["GET", "POST"],
   },
   perMessageDeflate: false,
 });
 
+// ── Cluster worker: rooms span workers; the primary hands us connections ──
+let clusterBridge = null;
+if (IS_WORKER) {
+  ioFront.adapter(createAdapter());
+  setupWorker(ioFront);
+  clusterBridge = createWorkerBridge({
+    ready: async () => ({
+      ...readySnapshot(),
+      worker: { pid: process.pid, sockets: ioFront.of("/").sockets.size },
+    }),
+    status: async () => statusSnapshot(),
+    metrics: () => metrics.registry.getMetricsAsJSON(),
+    ingest: ({ event, payload, conn }) => handleEvolutionEvent(event, payload, conn),
+    admin: ({ op, args }) => runPipelineOp(op, args),
+    reload: ({ source }) => reloadConfig(source),
+  });
+  // Workers keep a copy of the owner's history for `sinceEventId` joins
+  ioFront.on("history:mirror", (instance, envelope) => history.mirror(instance, envelope));
+}
+
+// ── Handshake auth — only when secrets are configured ──
+ioFront.use((sock, next) => {
+  if (settings.FRONT_AUTH_SECRETS.length === 0) return next();
+  try {
+    sock.data.auth = verifyFrontToken(
+      tokenFromHandshake(sock.handshake),
+      settings.FRONT_AUTH_SECRETS,
+    );
+    next();
+  } catch (e) {
+    const reason = e.reason || "invalid_token";
+    track(
+      "FRONT_WS",
+      "ERROR",
+      `Handshake rejected (${reason}) from ${sock.handshake.address}`,
+    );
+    const err = new Error("unauthorized");
+    err.data = { reason };
+    next(err);
+  }
+});
+
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const history = createEventHistory({ size: FRONT_HISTORY_SIZE });
+
 ioFront.on("connection", (sock) => {
   track("FRONT_WS", "CONNECT", `Browser linked: ${sock.id}`);
 
-  sock.on("join_instance", ({ instance } = {}, cb) => {
+  // ── Disconnect when the token expires ──
+  let expiryTimer = null;
+  const exp = sock.data.auth?.exp;
+  if (typeof exp === "number") {
+    const delay = exp * 1000 - Date.now();
+    if (delay < MAX_TIMER_MS) {
+      expiryTimer = setTimeout(() => {
+        track("FRONT_WS", "INFO", `${sock.id} token expired — disconnecting`);
+        sock.emit("auth:expired");
+        sock.disconnect(true);
+      }, Math.max(delay, 0));
+    }
+  }
+
+  sock.on("join_instance", ({ instance, sinceEventId } = {}, cb) => {
     try {
       if (!instance) {
         track("FRONT_WS", "ERROR", "Join failed — no instance name");
         return cb?.({ ok: false, error: "missing_instance" });
       }
+
+      let role = null;
+      if (sock.data.auth) {
+        role = roleFor(sock.data.auth, instance);
+        if (role === undefined) {
+          track(
+            "FRONT_WS",
+            "ERROR",
+            `${sock.id} denied room inst:${instance} (sub=${sock.data.auth.sub ?? "n/a"})`,
+          );
+          return cb?.({ ok: false, error: "forbidden_instance" });
+        }
+      }
+
       const room = `inst:${instance}`;
       sock.join(room);
-      track("FRONT_WS", "SUCCESS", `${sock.id} → room ${room}`);
-      return cb?.({ ok: true, room });
+      sock.data.roles = { ...sock.data.roles, [room]: role };
+      const sub = roleRoom(room, role);
+      if (sub) sock.join(sub);
+      track("FRONT_WS", "SUCCESS", `${sock.id} → room ${room} (role: ${role ?? "any"})`);
+
+      // ── Catch-up: replay what the client missed before live events ──
+      if (sinceEventId != null && Number.isFinite(Number(sinceEventId))) {
+        const { events, gap, lastEventId } = history.since(
+          instance,
+          Number(sinceEventId),
+        );
+        const missed = events.filter((env) =>
+          roleAllows(settings.FRONT_ROLE_EVENTS, role, env.event),
+        );
+        missed.forEach((env) => sock.emit("evolution:event", env));
+        track(
+          "FRONT_WS",
+          "INFO",
+          `${sock.id} replayed ${missed.length} event(s) since #${sinceEventId}${gap ? " (gap)" : ""}`,
+        );
+        return cb?.({ ok: true, room, role, replayed: missed.length, gap, lastEventId });
+      }
+      return cb?.({ ok: true, room, role, lastEventId: history.lastEventId(instance) });
     } catch (e) {
       track("FRONT_WS", "ERROR", `Room join error: ${e.message}`);
       return cb?.({ ok: false, error: String(e) });
     }
   });
 
+  // ── Agent actions — proxied to Evolution REST ──
+  for (const action of ACTION_NAMES) {
+    sock.on(action, (payload, cb) => runAgentAction(sock, action, payload, cb));
+  }
+
   sock.on("disconnect", (reason) => {
+    if (expiryTimer) clearTimeout(expiryTimer);
     track("FRONT_WS", "INFO", `${sock.id} disconnected (${reason})`);
   });
 });
 
-function emitToInstance(formatted) {
-  const inst = formatted.instance || "unknown";
+/** Role rooms carry the filtered stream; `:all` is unrestricted */
+function roleRoom(room, role) {
+  if (settings.FRONT_ROLE_EVENTS.size === 0) return null;
+  return settings.FRONT_ROLE_EVENTS.has(role) ? `${room}:role:${role}` : `${room}:all`;
+}
+
+/** After FRONT_ROLE_EVENTS changed: move this process's sockets to their new sub-rooms */
+function rejoinRoleRooms() {
+  for (const sock of ioFront.of("/").sockets.values()) {
+    for (const room of sock.rooms) {
+      if (room.startsWith("inst:") && !isInstanceRoom(room)) sock.leave(room);
+    }
+    for (const [room, role] of Object.entries(sock.data.roles || {})) {
+      const sub = roleRoom(room, role);
+      if (sub) sock.join(sub);
+    }
+  }
+}
+
+/** `inst:<name>` itself, not its `:all` / `:role:*` sub-rooms */
+function isInstanceRoom(room) {
+  return room.startsWith("inst:") && !/:(all|role:.*)$/.test(room);
+}
+
+/** `inst:*` rooms and their client counts (role sub-rooms excluded) */
+function instanceRooms() {
+  const out = [];
+  for (const [room, sockets] of ioFront.sockets.adapter.rooms) {
+    if (isInstanceRoom(room)) out.push([room, sockets.size]);
+  }
+  return out;
+}
+
+function emitToInstance(envelope) {
+  const inst = envelope.instance || "unknown";
   const room = `inst:${inst}`;
   const size = ioFront.sockets.adapter.rooms.get(room)?.size || 0;
-
-  if (size > 0) {
-    track("EMIT", "SUCCESS", `→ ${size} client(s) in ${room}`);
-    ioFront.to(room).emit("evolution:event", formatted);
+  // Buffered even without listeners, so late joiners can catch up
+  const formatted = history.record(inst, envelope);
+  if (IS_WORKER) ioFront.serverSideEmit("history:mirror", inst, formatted);
+
+  // Listeners may sit on other workers — the adapter knows, we don't
+  if (size > 0 || IS_WORKER) {
+    const to = IS_WORKER ? "all workers" : `${size} client(s)`;
+    track("EMIT", "SUCCESS", `→ ${to} in ${room}`, {
+      instance: inst,
+      event: formatted.event,
+      eventId: formatted.eventId,
+    });
+    if (settings.FRONT_ROLE_EVENTS.size === 0) {
+      ioFront.to(room).emit("evolution:event", formatted);
+    } else {
+      const targets = [
+        `${room}:all`,
+        ...rolesForEvent(settings.FRONT_ROLE_EVENTS, formatted.event).map(
+          (role) => `${room}:role:${role}`,
+        ),
+      ];
+      ioFront.to(targets).emit("evolution:event", formatted);
+    }
   } else {
-    track("EMIT", "DROP", `No listeners in ${room}`);
+    track("EMIT", "DROP", `No listeners in ${room}`, {
+      instance: inst,
+      event: formatted.event,
+    });
+    metrics.emitDrops.inc({ instance: inst });
   }
 }
 
-/* ================================================================
-   STAGE 2 — EVOLUTION API CLIENT  (Inbound Events)
-   ================================================================ */
+/* ───────── Admin API ───────── */
 
-function bootEvolutionClient() {
-  if (!WEBSOCKET_ENABLED) {
-    track("SYS", "INFO", "WEBSOCKET_ENABLED=false — evolution client skipped");
-    return;
+// Evolution and forwarding live in the pipeline owner
+const pipelineOps = {
+  connections: () => ({
+    enabled: !!evolution,
+    connections: (evolution?.status() || []).map((c) => ({ ...c, url: redactUrl(c.url) })),
+  }),
+  queues: () =>
+    mapDestinations((d) => ({
+      url: redactUrl(d.config.url),
+      outboxPending: d.outbox ? d.outbox.size() : null,
+      queued: d.queue.size(),
+      lanes: d.queue.depth(),
+      circuit: d.breaker.snapshot(),
+    })),
+  reconnect: (instance) => {
+    if (!evolution) {
+      throw new AdminError(409, "evolution_disabled", "WEBSOCKET_ENABLED is off");
+    }
+    if (instance && !evolution.names().includes(instance)) {
+      throw new AdminError(404, "unknown_instance", `No Evolution connection for ${instance}`);
+    }
+    const instances = instance ? [instance] : evolution.names();
+    evolution.reconnect(instance);
+    return { instances };
+  },
+  pause: (instance) => setForwardingPaused(instance, true),
+  resume: (instance) => setForwardingPaused(instance, false),
+  overview: () => ({
+    evolution: (evolution?.status() || []).map((c) => ({
+      instance: c.key,
+      state: c.state,
+      lastChangeAt: c.lastChangeAt,
+      lastError: c.lastError,
+      reconnectAttempts: c.reconnectAttempts,
+      lastEventAt: c.lastEventAt,
+    })),
+    diagnostics: diagnostics.results(),
+  }),
+  diagnostics: () => diagnostics.results(),
+  runDiagnostics: async () => {
+    await diagnostics.runAll("admin");
+    return { targets: diagnostics.results() };
+  },
+  deadLetters: (filter, limit) => requireDeadLetters().list(filter, limit),
+  deadLetter: (id) => {
+    const entry = requireDeadLetters().get(id);
+    if (!entry) throw new AdminError(404, "unknown_dead_letter", `No dead letter ${id}`);
+    return entry;
+  },
+  replayDeadLetter: async (id, url) => {
+    const replay = await replayDeadLetter(id, url);
+    if (!replay.ok) {
+      throw new AdminError(502, "replay_failed", `Backend answered ${replay.status ?? replay.code}`);
+    }
+    return replay;
+  },
+  replayDeadLetters: (filter, url) => replayDeadLetters(filter, url),
+  purgeDeadLetter: (id) => {
+    if (!requireDeadLetters().remove(id)) {
+      throw new AdminError(404, "unknown_dead_letter", `No dead letter ${id}`);
+    }
+    return { purged: 1 };
+  },
+  purgeDeadLetters: (filter) => ({ purged: requireDeadLetters().purge(filter) }),
+};
+
+// Remembered so destinations added by a reload start out paused alike
+const pausedInstances = new Set();
+
+/** Hold or release an instance's lane in every destination queue */
+function setForwardingPaused(instance, paused) {
+  if (destinations.size === 0) {
+    throw new AdminError(409, "forwarding_disabled", "No backend destination configured");
   }
-  if (!EVOLUTION_API_URL) {
-    track("SYS", "ERROR", "EVOLUTION_API_URL missing — exiting");
-    process.exit(1);
+  for (const dest of destinations.values()) {
+    if (paused) dest.queue.pause(instance);
+    else dest.queue.resume(instance);
   }
+  if (paused) pausedInstances.add(instance);
+  else pausedInstances.delete(instance);
+  track("QUEUE", "INFO", `Forwarding for ${instance} ${paused ? "paused" : "resumed"}`, {
+    instance,
+  });
+  return { destinations: [...destinations.keys()] };
+}
 
-  let connectUrl = EVOLUTION_API_URL;
-  if (!WEBSOCKET_GLOBAL_EVENTS) {
-    if (!INSTANCE_NAME) {
-      track("SYS", "ERROR", "Traditional mode requires INSTANCE_NAME");
-      process.exit(1);
-    }
+// Replays wait for backends, retries included
+const SLOW_PIPELINE_OPS = {
+  replayDeadLetter: 60000,
+  replayDeadLetters: 30 * 60000,
+  runDiagnostics: 5 * DIAG_TIMEOUT_MS,
+};
+
+/** Run a pipeline op here, or in the owner worker when clustered */
+async function runPipelineOp(op, args = []) {
+  if (OWNS_PIPELINE) {
     try {
-      const u = new URL(EVOLUTION_API_URL);
-      let base = u.pathname === "/" ? "" : u.pathname.replace(/\/$/, "");
-      u.pathname = `${base}/${INSTANCE_NAME}`;
-      connectUrl = u.toString();
-    } catch {
-      connectUrl = `${EVOLUTION_API_URL.replace(/\/$/, "")}/${INSTANCE_NAME}`;
+      return { result: await pipelineOps[op](...args) };
+    } catch (err) {
+      // Crosses the cluster IPC as plain data, so keep status / code
+      if (!(err instanceof AdminError)) throw err;
+      return { error: { status: err.status, code: err.code, message: err.message } };
     }
   }
+  try {
+    return await clusterBridge.toOwner("admin", { op, args }, { timeoutMs: SLOW_PIPELINE_OPS[op] });
+  } catch (err) {
+    throw new AdminError(503, "owner_unavailable", err.message);
+  }
+}
 
-  track("EVO_API", "INFO", `Connecting → ${connectUrl}`);
-
-  const ALLOW_POLLING =
-    (process.env.ALLOW_POLLING || "true").toLowerCase() === "true";
+/** Client-facing wrapper: unwraps `{ result | error }` into a value or AdminError */
+const pipelineOp =
+  (op) =>
+  async (...args) => {
+    const reply = await runPipelineOp(op, args);
+    const { error } = reply;
+    if (error) throw new AdminError(error.status, error.code, error.message);
+    return reply.result;
+  };
 
-  const socketOpts = {
-    // ── Robust reconnection for unstable networks ──
-    reconnection: true,
-    reconnectionAttempts: Infinity, // never give up
-    reconnectionDelay: 2000, // start at 2 s
-    reconnectionDelayMax: 30000, // cap at 30 s
-    randomizationFactor: 0.3, // jitter ±30 %
-    timeout: 20000, // connection timeout
-    // ── Keep-alive ──
-    pingInterval: 25000,
-    pingTimeout: 20000,
+/** Browsers per instance room — fetchSockets spans every cluster worker */
+async function frontRooms() {
+  const sockets = await ioFront.fetchSockets();
+  const rooms = new Map();
+  for (const s of sockets) {
+    for (const room of s.rooms) {
+      if (!isInstanceRoom(room)) continue;
+      if (!rooms.has(room)) rooms.set(room, []);
+      rooms.get(room).push({
+        id: s.id,
+        sub: s.data.auth?.sub ?? null,
+        address: s.handshake.address,
+        connectedAt: new Date(s.handshake.issued).toISOString(),
+      });
+    }
+  }
+  return {
+    sockets: sockets.length,
+    rooms: [...rooms].map(([room, list]) => ({
+      room,
+      instance: room.slice("inst:".length),
+      clients: list.length,
+      sockets: list,
+    })),
   };
+}
+
+async function disconnectBrowser(id) {
+  const found = await ioFront.in(id).fetchSockets();
+  if (found.length === 0) {
+    throw new AdminError(404, "unknown_socket", `No browser socket ${id}`);
+  }
+  ioFront.in(id).disconnectSockets(true);
+  return { disconnected: found.length };
+}
 
-  if (ALLOW_POLLING) {
-    socketOpts.transports = ["polling"];
-    socketOpts.upgrade = false;
+// Mounted only when keys are set at boot; a reload may change them after
+const adminAudit =
+  settings.ADMIN_KEYS.length > 0 ? createAuditLog({ file: ADMIN_AUDIT_FILE, track }) : null;
+if (adminAudit) {
+  app.use(
+    "/admin",
+    createAdminRouter({
+      keys: () => settings.ADMIN_KEYS,
+      audit: adminAudit,
+      ops: {
+        connections: pipelineOp("connections"),
+        rooms: frontRooms,
+        queues: pipelineOp("queues"),
+        reconnect: pipelineOp("reconnect"),
+        disconnectSocket: disconnectBrowser,
+        pause: pipelineOp("pause"),
+        resume: pipelineOp("resume"),
+        deadLetters: pipelineOp("deadLetters"),
+        deadLetter: pipelineOp("deadLetter"),
+        replayDeadLetter: pipelineOp("replayDeadLetter"),
+        replayDeadLetters: pipelineOp("replayDeadLetters"),
+        purgeDeadLetter: pipelineOp("purgeDeadLetter"),
+        purgeDeadLetters: pipelineOp("purgeDeadLetters"),
+        reloadConfig: reloadAll,
+        runDiagnostics: pipelineOp("runDiagnostics"),
+      },
+      track,
+    }),
+  );
+}
+
+/* ───────── Dashboard ───────── */
+
+const DASHBOARD_PAGE = path.join(__dirname, "public", "dashboard.html");
+
+/** Everything one dashboard tick shows, summed over cluster workers */
+async function dashboardSnapshot() {
+  let metricsJson;
+  if (IS_WORKER) {
+    const replies = await clusterBridge.collect("metrics");
+    metricsJson = await aggregateMetrics(
+      replies.filter((r) => r.result).map((r) => r.result),
+    ).getMetricsAsJSON();
   } else {
-    socketOpts.transports = ["websocket"];
-    socketOpts.upgrade = true;
+    metricsJson = await metrics.registry.getMetricsAsJSON();
   }
+  const [overview, front] = await Promise.all([pipelineOp("overview")(), frontRooms()]);
+  return {
+    metrics: metricsJson,
+    ...overview,
+    rooms: front.rooms.map(({ room, instance, clients }) => ({ room, instance, clients })),
+  };
+}
 
-  evoSocket = ioClient(connectUrl, socketOpts);
+// Same keys as the admin API; the page itself holds no data
+if (adminAudit) {
+  const page = fs
+    .readFileSync(DASHBOARD_PAGE, "utf8")
+    .replaceAll("{{WS_PATH}}", FRONT_WS_PATH);
+  app.get("/dashboard", (_, res) => res.type("html").send(page));
+  attachDashboard({ io: ioFront, keys: () => settings.ADMIN_KEYS, snapshot: dashboardSnapshot, track });
+}
 
-  evoSocket.on("connect", () => {
-    track("EVO_API", "SUCCESS", `Connected — ID: ${evoSocket.id}`);
-  });
+/* ================================================================
+   STAGE 2 — EVOLUTION API CLIENT  (Inbound Events)
+   ================================================================ */
 
-  evoSocket.on("disconnect", (reason) => {
-    track("EVO_API", "INFO", `Disconnected (${reason})`);
-  });
+/** Instance names from INSTANCE_NAME, INSTANCE_NAMES and INSTANCES_FILE */
+function resolveInstanceNames() {
+  try {
+    return readInstanceNames({ INSTANCE_NAME, INSTANCE_NAMES, INSTANCES_FILE });
+  } catch (err) {
+    track("EVO_API", "ERROR", `Cannot read INSTANCES_FILE: ${err.message}`);
+    return null;
+  }
+}
 
-  evoSocket.on("connect_error", (err) => {
-    track(
-      "EVO_API",
-      "ERROR",
-      `Connect error — code=${err.code || "n/a"} msg=${err.message}`,
-    );
+// Evolution re-sends events after reconnects, and with socket + webhook on
+// every event arrives twice
+const dedup =
+  DEDUP_TTL_MS > 0
+    ? createDedupCache({
+        ttlMs: DEDUP_TTL_MS,
+        hashWindowMs: DEDUP_HASH_WINDOW_MS,
+        maxEntries: DEDUP_MAX_ENTRIES,
+      })
+    : null;
+
+/** Feed one Evolution event into the pipeline; false when dropped as a duplicate */
+function handleEvolutionEvent(event, payload, conn) {
+  const formatted = formatEvent(event, payload);
+  // Per-instance sockets know their instance even when the payload doesn't
+  if (formatted.instance === "unknown" && conn.instance) {
+    formatted.instance = conn.instance;
+  }
+  const source = conn.source || "socket";
+  const fingerprint = fingerprintEvent(formatted.event, formatted.instance, payload);
+  const first = dedup?.remember(fingerprint, source);
+  // Copies share the key; a later repeat of a hashed event gets its own
+  formatted.meta.idempotencyKey = idempotencyKey(
+    dedup ? dedup.occurrence(fingerprint) : occurrenceOf(fingerprint, Date.now()),
+  );
+  if (first) {
+    track("FLOW", "SKIP", `Duplicate ${event} via ${source} — already received via ${first}`, {
+      instance: formatted.instance,
+      event,
+      idempotencyKey: formatted.meta.idempotencyKey,
+    });
+    metrics.eventsDuplicate.inc({ source });
+    return false;
+  }
+  track("FLOW", "RECEIVE", `${event} (instance: ${formatted.instance})`, {
+    instance: formatted.instance,
+    event,
   });
+  metrics.eventsReceived.inc({ event, instance: formatted.instance });
 
-  evoSocket.io.on("reconnect_attempt", (attempt) => {
-    track("EVO_API", "INFO", `Reconnect attempt #${attempt}`);
-  });
+  if (!mediaHandler) {
+    deliver(formatted);
+    return true;
+  }
+  // Attachments are stored first; later events of the instance wait their turn
+  inInstanceOrder(formatted.instance, async () =>
+    deliver(await mediaHandler.extract(formatted)),
+  );
+  return true;
+}
 
-  evoSocket.io.on("reconnect", (attempt) => {
-    track("EVO_API", "SUCCESS", `Reconnected after ${attempt} attempt(s)`);
-  });
+function deliver(formatted) {
+  forwardEvent(formatted);
+  emitToInstance(formatted);
+}
 
-  evoSocket.io.on("reconnect_failed", () => {
-    track(
-      "EVO_API",
-      "ERROR",
-      "Reconnection exhausted (should not happen with Infinity)",
+const instanceTails = new Map(); // instance → last pending task
+
+/** Run async tasks of one instance one after another, in arrival order */
+function inInstanceOrder(instance, task) {
+  const tail = (instanceTails.get(instance) || Promise.resolve())
+    .then(task)
+    .catch((err) =>
+      track("FLOW", "ERROR", `Event handling failed: ${err.message}`, { instance }),
     );
+  instanceTails.set(instance, tail);
+  tail.then(() => {
+    if (instanceTails.get(instance) === tail) instanceTails.delete(instance);
   });
+}
 
-  // ── Event subscription ──
-  if (FORWARD_EVENTS.length > 0) {
-    FORWARD_EVENTS.forEach((evt) => {
-      evoSocket.on(evt, async (data) => {
-        const formatted = formatEvent(evt, data);
-        track("FLOW", "RECEIVE", `${evt} (instance: ${formatted.instance})`);
-        await sendToBackend(formatted);
-        emitToInstance(formatted);
-      });
-    });
-  } else {
-    evoSocket.onAny(async (event, ...args) => {
-      const payload = args.length === 1 ? args[0] : args;
-      const formatted = formatEvent(event, payload);
-      track("FLOW", "RECEIVE", `${event} (instance: ${formatted.instance})`);
-      await sendToBackend(formatted);
-      emitToInstance(formatted);
-    });
+/* ───────── Webhook ingestion ───────── */
+
+// INGEST_ALLOW_IPS was parsed once already by the config check
+function ingestGuardFor(s) {
+  return INGEST_ENABLED
+    ? createIngestGuard({
+        secrets: s.INGEST_SECRETS,
+        allowIps: s.INGEST_ALLOW_IPS,
+        trustProxy: s.INGEST_TRUST_PROXY,
+      })
+    : null;
+}
+let ingestGuard = ingestGuardFor(settings);
+const ingestStats = { deliveries: 0, duplicates: 0, lastDeliveryAt: null };
+// The socket client applies the same filter on its side
+let acceptedEvents = normalizeEventPatterns([...settings.EVENTS, ...settings.FORWARD_EVENTS]);
+
+if (ingestGuard) {
+  if (ingestGuard.open) {
+    track("INGEST", "WARN", "INGEST_SECRETS / INGEST_ALLOW_IPS not set — anyone may post events");
+  }
+
+  // `:hook` absorbs the `/messages-upsert` suffix of "webhook by events"
+  app.post(
+    "/ingest/evolution/:instance?/:hook?",
+    express.json({ limit: INGEST_BODY_LIMIT }),
+    async (req, res) => {
+      const denied = ingestGuard.check(req);
+      if (denied) {
+        metrics.ingestRequests.inc({ result: denied });
+        track("INGEST", "ERROR", `Delivery from ${req.ip} rejected (${denied})`);
+        return res.status(denied === "bad_secret" ? 401 : 403).json({ ok: false, error: denied });
+      }
+
+      const delivery = parseDelivery(req.body, req.params.instance);
+      if (!delivery) {
+        metrics.ingestRequests.inc({ result: "invalid" });
+        track("INGEST", "ERROR", `Delivery from ${req.ip} is not an Evolution event`);
+        return res.status(400).json({ ok: false, error: "invalid_delivery" });
+      }
+
+      const event = canonicalEvent(delivery.event);
+      if (acceptedEvents.length > 0 && !matchesAny(acceptedEvents, event)) {
+        metrics.ingestRequests.inc({ result: "ignored" });
+        return res.json({ ok: true, ignored: true });
+      }
+
+      ingestStats.deliveries++;
+      ingestStats.lastDeliveryAt = new Date().toISOString();
+      const conn = { instance: delivery.instance, source: "webhook" };
+      let accepted;
+      try {
+        // In a cluster, only the owner runs the pipeline
+        accepted = OWNS_PIPELINE
+          ? handleEvolutionEvent(event, delivery.payload, conn)
+          : await clusterBridge.toOwner("ingest", { event, payload: delivery.payload, conn });
+      } catch (err) {
+        track("INGEST", "ERROR", `Delivery not handed to the owner worker: ${err.message}`);
+        return res.status(503).json({ ok: false, error: "owner_unavailable" });
+      }
+      if (!accepted) ingestStats.duplicates++;
+      metrics.ingestRequests.inc({ result: accepted ? "accepted" : "duplicate" });
+      res.json({ ok: true, duplicate: !accepted });
+    },
+  );
+}
+
+function bootEvolutionClient() {
+  if (!WEBSOCKET_ENABLED) {
+    track("SYS", "INFO", "WEBSOCKET_ENABLED=false — evolution client skipped");
+    return;
+  }
+
+  // URL and instance names are required by the config check
+  let instances = [null]; // global mode: a single connection to the base URL
+  if (!WEBSOCKET_GLOBAL_EVENTS) instances = resolveInstanceNames() || [];
+
+  evolution = createEvolutionManager({
+    baseUrl: EVOLUTION_API_URL,
+    events: [...settings.EVENTS, ...settings.FORWARD_EVENTS],
+    onEvent: handleEvolutionEvent,
+    socketOptions: buildSocketOptions({ allowPolling: ALLOW_POLLING }),
+    onConnect: () => diagnostics.noteSuccess("evolution", "evolution"),
+    onConnectError: () => diagnostics.noteFailure("evolution", "evolution"),
+    track,
+  });
+  instances.forEach((name) => evolution.add(name));
+
+  // ── Pick up instance list edits without a restart ──
+  if (!WEBSOCKET_GLOBAL_EVENTS && INSTANCES_FILE) {
+    fs.watchFile(INSTANCES_FILE, { interval: 2000 }, () => {
+      const next = resolveInstanceNames();
+      if (!next) return; // keep current connections on a bad edit
+      track("EVO_API", "INFO", `Instance list changed → ${next.join(", ") || "(none)"}`);
+      evolution.sync(next);
+    }).unref?.();
   }
 }
 
@@ -377,73 +1237,38 @@ function bootEvolutionClient() {
    STAGE 3 — OUTBOUND AXIOS CLIENT  (Backend Forwarding)
    ================================================================ */
 
-/** Build a dedicated axios instance with proxy, retries, timeouts */
-function createApiClient() {
-  const cfg = {
-    timeout: FORWARD_TIMEOUT_MS,
-    maxContentLength: Infinity,
-    maxBodyLength: Infinity,
-    headers: {
-      "Content-Type": "application/json",
-      "User-Agent": "Wessaal-Node-Layer/1.0",
-    },
-  };
-
-  // ── Outbound proxy — routes traffic via external IP ──
-  if (PROXY_URL) {
-    const agent = new HttpsProxyAgent(PROXY_URL);
-    cfg.httpAgent = agent;
-    cfg.httpsAgent = agent;
-    cfg.proxy = false; // disable axios' built-in env proxy
-    track("AXIOS", "INFO", `Proxy agent attached: ${mask(PROXY_URL, 20)}`);
+/** The destination's axios client — proxy, retries, re-signing (lib/forward-client.js) */
+function createApiClient(config, breaker) {
+  if (proxyAgent) {
+    track("AXIOS", "INFO", `[${config.name}] Proxy agent attached: ${redactUrl(PROXY_URL)}`);
   }
+  return createForwardClient(config, {
+    breaker,
+    agent: proxyAgent,
+    onRetry: () => metrics.forwardRetries.inc({ destination: config.name }),
+    track,
+  });
+}
 
-  const instance = axios.create(cfg);
-
-  // ── Exponential-backoff retries ──
-  axiosRetry(instance, {
-    retries: FORWARD_RETRIES,
-    retryDelay: (retryCount) => {
-      const delay = axiosRetry.exponentialDelay(retryCount);
-      track("RETRY", "INFO", `Back-off #${retryCount} — waiting ${delay} ms`);
-      return delay;
-    },
-    retryCondition: (error) => {
-      // Network-level resets / timeouts
-      const code = error.code || "";
-      if (
-        [
-          "ECONNRESET",
-          "ETIMEDOUT",
-          "ECONNABORTED",
-          "EPIPE",
-          "EAI_AGAIN",
-          "ERR_SSL_SSLV3_ALERT_HANDSHAKE_FAILURE",
-        ].includes(code)
-      ) {
-        return true;
-      }
-      // 5xx server errors
-      if (error.response && error.response.status >= 500) {
-        return true;
-      }
-      // Fallback to built-in check
-      return axiosRetry.isNetworkOrIdempotentRequestError(error);
-    },
-    shouldResetTimeout: true,
-    onRetry: (retryCount, error, requestConfig) => {
+function createBreaker(name) {
+  return createCircuitBreaker({
+    failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+    resetTimeoutMs: CIRCUIT_RESET_MS,
+    onStateChange: ({ from, to, failures, reason }) => {
       track(
-        "RETRY",
-        "INFO",
-        `[${retryCount}/${FORWARD_RETRIES}] code=${error.code || "n/a"} status=${error.response?.status || "n/a"} url=${requestConfig.url}`,
+        "CIRCUIT",
+        to === "open" ? "ERROR" : to === "closed" ? "SUCCESS" : "INFO",
+        `[${name}] ${from} → ${to} (${reason})`,
+        { destination: name, circuit: to, failures },
       );
     },
   });
-
-  return instance;
 }
 
-const api = createApiClient();
+/** Failures that say "backend unreachable or unhealthy", not "bad request" */
+function isBreakerFailure(status) {
+  return typeof status !== "number" || status >= 500 || status === 429;
+}
 
 /** Extract local outbound IP from the failed request socket */
 function getLocalAddress(err) {
@@ -453,44 +1278,82 @@ function getLocalAddress(err) {
   return "unknown";
 }
 
-async function sendToBackend(formatted) {
-  if (!BACKEND_URL) return;
-
-  const headers = {};
-  if (FORWARDER_WEBHOOK_SECRET)
-    headers["x-webhook-secret"] = FORWARDER_WEBHOOK_SECRET;
-  if (FORWARDER_API_KEY)
-    headers["x-evolution-api-key"] = FORWARDER_API_KEY;
-
-  // Unique request ID for end-to-end tracing
-  headers["x-request-id"] = `wn-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+/**
+ * POST one envelope to one destination.
+ * Resolves to `{ ok, status, code, retry }` — never throws. `retry: false`
+ * means the backend rejected the envelope for good (4xx), so replaying it
+ * from the queue is pointless.
+ */
+async function sendToBackend(dest, formatted) {
+  const { config, api, breaker } = dest;
+
+  // Request id for end-to-end tracing — a new one per retry
+  const { headers, rawBody } = forwardRequest(config, formatted);
+
+  const logFields = {
+    requestId: headers["x-request-id"],
+    destination: config.name,
+    instance: formatted.instance,
+    event: formatted.event,
+  };
 
+  // ── Circuit open — don't hammer; the queue keeps the envelope ──
+  if (!breaker.allow()) {
+    const retryAfterMs = breaker.retryAfterMs();
+    track(
+      "FORWARD",
+      "WARN",
+      `[${config.name}] Circuit ${breaker.state} — forward held back (retry in ${retryAfterMs} ms)`,
+      logFields,
+    );
+    metrics.forwards.inc({ destination: config.name, result: "short_circuit", status: "n/a" });
+    return { ok: false, code: "CIRCUIT_OPEN", retry: true, retryAfterMs, skipped: true };
+  }
+  const stopTimer = metrics.forwardDuration.startTimer({ destination: config.name });
   try {
-    const res = await api.post(BACKEND_URL, formatted, { headers });
+    const res = await api.post(config.url, rawBody, { headers });
+    const durationMs = Math.round(stopTimer({ result: "success" }) * 1000);
+    breaker.recordSuccess();
+    diagnostics.noteSuccess("backend", config.name);
+    metrics.forwards.inc({ destination: config.name, result: "success", status: res.status });
+    const requestId = res.config?.headers?.["x-request-id"] ?? logFields.requestId; // last attempt's
     track(
       "FORWARD",
       "SUCCESS",
-      `HTTP ${res.status} → ${BACKEND_URL} [req:${headers["x-request-id"]}]`,
+      `[${config.name}] HTTP ${res.status} → ${config.url} [req:${requestId}]`,
+      { ...logFields, requestId, status: res.status, durationMs },
     );
+    return { ok: true, status: res.status };
   } catch (err) {
     const code = err.code || "UNKNOWN";
     const status = err.response?.status || "n/a";
     const localAddr = getLocalAddress(err);
     const retries = err.config?.["axios-retry"]?.retryCount ?? 0;
+    const durationMs = Math.round(stopTimer({ result: "failure" }) * 1000);
+    const requestId = err.config?.headers?.["x-request-id"] ?? logFields.requestId;
+    if (isBreakerFailure(status)) {
+      breaker.recordFailure();
+      diagnostics.noteFailure("backend", config.name);
+    } else {
+      breaker.recordSuccess(); // backend answered — it is up
+      diagnostics.noteSuccess("backend", config.name);
+    }
+    metrics.forwards.inc({ destination: config.name, result: "failure", status: String(status) });
 
     track(
       "FORWARD",
       "ERROR",
       [
-        `FAILED after ${retries}/${FORWARD_RETRIES} retries`,
+        `[${config.name}] FAILED after ${retries}/${config.retries} retries`,
         `code=${code}`,
         `status=${status}`,
         `localIP=${localAddr}`,
         `errno=${err.errno || "n/a"}`,
         `msg=${err.message}`,
         `proxy=${PROXY_URL ? "yes" : "no"}`,
-        `req=${headers["x-request-id"]}`,
+        `req=${requestId}`,
       ].join(" | "),
+      { ...logFields, requestId, status, code, retries, durationMs },
     );
 
     // Actionable hint for known ISP blocks
@@ -506,23 +1369,242 @@ async function sendToBackend(formatted) {
         "⚠️  Persistent ECONNRESET without proxy — set HTTPS_PROXY in .env to route around the block.",
       );
     }
+
+    const permanent =
+      typeof status === "number" &&
+      status >= 400 &&
+      status < 500 &&
+      ![408, 429].includes(status);
+    return { ok: false, status, code, retry: !permanent };
+  }
+}
+
+/** Events of one chat must reach the backend in order; others may overtake */
+function orderingKey(envelope) {
+  return envelope.body?.chatJid || envelope.actor || envelope.body?.from || "_";
+}
+
+/**
+ * Everything one destination needs: its own axios client, circuit breaker,
+ * outbox and queue, so a slow or broken backend never holds up the others.
+ */
+function createDestination(config) {
+  const name = config.name;
+  const breaker = createBreaker(name);
+  const dest = { config, breaker, api: createApiClient(config, breaker), outbox: null };
+
+  // The default destination keeps the pre-routing spool location
+  if (OUTBOX_ENABLED) {
+    const dir = name === DEFAULT_DESTINATION ? OUTBOX_DIR : path.join(OUTBOX_DIR, name);
+    dest.outbox = createOutbox({ dir, track });
+  }
+
+  dest.queue = createForwardQueue({
+    worker: ({ envelope }) => sendToBackend(dest, envelope),
+    laneOf: ({ envelope }) => envelope.instance || "unknown",
+    keyOf: ({ envelope }) => orderingKey(envelope),
+    concurrency: QUEUE_CONCURRENCY,
+    maxLength: QUEUE_MAX_LENGTH,
+    overflow: QUEUE_OVERFLOW,
+    retryDelayMs: QUEUE_RETRY_DELAY_MS,
+    maxRetryDelayMs: QUEUE_MAX_RETRY_DELAY_MS,
+    maxAttempts: QUEUE_MAX_ATTEMPTS,
+    // Dead-lettered before the outbox lets go, so a crash in between duplicates, never loses
+    onDone: ({ seq, envelope }, result, stats) => {
+      if (!result.ok) {
+        const why = result.exhausted
+          ? `gave up after ${stats.attempts} attempt(s) (status=${result.status || "n/a"}, code=${result.code || "n/a"})`
+          : `rejected by backend (status=${result.status || "n/a"})`;
+        track(
+          "QUEUE",
+          "ERROR",
+          `[${name}] Dropped ${envelope.event} — ${why}`,
+          { destination: name, instance: envelope.instance, event: envelope.event },
+        );
+        deadLetter(dest, envelope, result.exhausted ? "retries_exhausted" : "rejected", result, stats);
+      }
+      if (seq != null) dest.outbox?.markDone(seq);
+    },
+    onDrop: ({ seq, envelope }, reason, stats) => {
+      track(
+        "QUEUE",
+        "ERROR",
+        `[${name}] Dropped ${envelope.event} — ${reason} (max ${QUEUE_MAX_LENGTH}, policy ${QUEUE_OVERFLOW})`,
+        { destination: name, instance: envelope.instance, event: envelope.event },
+      );
+      metrics.queueDrops.inc({ destination: name, instance: envelope.instance, reason });
+      deadLetter(dest, envelope, "overflow", {}, stats);
+      if (seq != null) dest.outbox?.markDone(seq);
+    },
+    track,
+  });
+
+  // ── Recovered outbox entries go first, in their original order ──
+  for (const { seq, envelope } of dest.outbox?.entries() || []) {
+    dest.queue.push({ seq, envelope });
+  }
+  return dest;
+}
+
+// Outboxes and the dead-letter store are written by the pipeline owner only
+const deadLetters =
+  OWNS_PIPELINE && DEAD_LETTER_ENABLED ? createDeadLetterStore({ dir: DEAD_LETTER_DIR, track }) : null;
+
+/** Keep an envelope no longer retried, with why, for inspection and replay */
+function deadLetter(dest, envelope, reason, result, stats) {
+  if (!deadLetters) return;
+  const name = dest.config.name;
+  const entry = deadLetters.add({
+    destination: name,
+    url: redactUrl(dest.config.url),
+    reason,
+    status: typeof result.status === "number" ? result.status : null,
+    code: result.code,
+    envelope,
+    ...stats,
+  });
+  if (!entry) return;
+  metrics.deadLettered.inc({ destination: name, reason });
+  track("DEADLETTER", "WARN", `[${name}] ${envelope.event} stored as ${entry.id} (${reason})`, {
+    destination: name,
+    instance: envelope.instance,
+    event: envelope.event,
+    deadLetterId: entry.id,
+  });
+}
+
+if (OWNS_PIPELINE) {
+  for (const config of Object.values(router.destinations)) {
+    destinations.set(config.name, createDestination(config));
+  }
+}
+
+/** `{ [destination]: fn(dest) }` — for /ready and metrics */
+function mapDestinations(fn) {
+  const out = {};
+  for (const [name, dest] of destinations) out[name] = fn(dest);
+  return out;
+}
+
+/**
+ * Hand an envelope to every destination the routing table picks: spooled
+ * to that destination's outbox first (when enabled), then queued in its
+ * instance lane.
+ */
+function forwardEvent(formatted) {
+  const names = router.route(formatted);
+  if (names.length === 0) {
+    if (destinations.size > 0) {
+      track("ROUTING", "DEBUG", `No route for ${formatted.event} (instance: ${formatted.instance})`, {
+        instance: formatted.instance,
+        event: formatted.event,
+      });
+    }
+    return;
+  }
+  for (const name of names) {
+    const dest = destinations.get(name);
+    const seq = dest.outbox ? dest.outbox.append(formatted) : null;
+    dest.queue.push({ seq, envelope: formatted });
+  }
+}
+
+/* ───────── Dead-letter replay ───────── */
+
+function requireDeadLetters() {
+  if (!deadLetters) {
+    throw new AdminError(409, "dead_letters_disabled", "DEAD_LETTER_ENABLED is off");
   }
+  return deadLetters;
+}
+
+/**
+ * Where a replay goes: the entry's own destination, or `url`. A different
+ * URL gets the envelope without the destination's credentials or signature.
+ */
+function replayTarget(destName, url) {
+  const dest = destinations.get(destName);
+  if (!url) {
+    if (dest) return dest;
+    throw new AdminError(
+      409,
+      "unknown_destination",
+      `Destination ${destName} is not configured any more — replay to a url`,
+    );
+  }
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {}
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    throw new AdminError(400, "invalid_url", "url must be an http(s) URL");
+  }
+  const config = {
+    name: "replay",
+    url,
+    headers: {},
+    signingKeys: [],
+    timeoutMs: dest?.config.timeoutMs ?? settings.FORWARD_TIMEOUT_MS,
+    retries: dest?.config.retries ?? settings.FORWARD_RETRIES,
+  };
+  const breaker = createBreaker(config.name);
+  return { config, breaker, api: createApiClient(config, breaker) };
+}
+
+/** Send one dead letter again; success removes it, failure is recorded on it */
+async function replayDeadLetter(id, url, target = null) {
+  const entry = requireDeadLetters().get(id);
+  if (!entry) throw new AdminError(404, "unknown_dead_letter", `No dead letter ${id}`);
+  const to = target || replayTarget(entry.destination, url);
+  const result = await sendToBackend(to, entry.envelope);
+  const outcome = {
+    at: new Date().toISOString(),
+    url: redactUrl(to.config.url),
+    ok: result.ok,
+    status: typeof result.status === "number" ? result.status : null,
+    code: result.code ?? null,
+  };
+  deadLetters.recordReplay(id, outcome);
+  track(
+    "DEADLETTER",
+    result.ok ? "SUCCESS" : "ERROR",
+    `Replay ${id} → ${outcome.url}: ${result.ok ? `HTTP ${result.status}` : `failed (${outcome.status ?? outcome.code})`}`,
+    { deadLetterId: id, destination: entry.destination, instance: entry.envelope?.instance },
+  );
+  return { id, ...outcome };
+}
+
+/** Replay every matching entry, oldest first, one at a time to keep chat order */
+async function replayDeadLetters(filter = {}, url) {
+  const entries = requireDeadLetters().list(filter, filter.limit);
+  const shared = url ? replayTarget(null, url) : null;
+  const results = [];
+  for (const { id, destination } of entries) {
+    try {
+      results.push(await replayDeadLetter(id, null, shared || replayTarget(destination)));
+    } catch (err) {
+      results.push({ id, ok: false, error: err.code || "internal_error", message: err.message });
+    }
+  }
+  return {
+    total: results.length,
+    replayed: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    results,
+  };
 }
 
 /* ================================================================
    EVENT FORMATTING
    ================================================================ */
 
+// Same rules as webhook deliveries: a `{ instanceName }` object counts too
 function pickInstance(payload) {
-  return (
-    payload?.instance ||
-    payload?.instanceName ||
-    payload?.data?.instance ||
-    "unknown"
-  );
+  return instanceFromPayload(payload) || "unknown";
 }
 
-function formatEvent(eventName, payload) {
+function formatEvent(wireName, payload) {
+  const eventName = canonicalEvent(wireName);
   const MAX_RAW = RAW_MAX;
 
   function safeStringify(obj, maxLen = MAX_RAW) {
@@ -534,23 +1616,6 @@ function formatEvent(eventName, payload) {
     }
   }
 
-  function extractMessage(m) {
-    if (!m) return null;
-    return {
-      id: m.id || m._id || m.messageId || null,
-      from: m.from || m.author || m.sender || null,
-      text:
-        m.text ||
-        m.body ||
-        (m.content && (m.content.text || m.content.body)) ||
-        null,
-      ts: m.timestamp || m.ts || m.createdAt || null,
-      attachmentsCount: Array.isArray(m.attachments)
-        ? m.attachments.length
-        : 0,
-    };
-  }
-
   const envelope = {
     version: "1.0",
     event: eventName,
@@ -562,16 +1627,24 @@ function formatEvent(eventName, payload) {
     body: null,
     meta: {},
   };
+  if (wireName !== eventName) envelope.meta.wireEvent = wireName;
 
   try {
     switch (eventName) {
-      case "messages.upsert": {
-        const msg = payload?.message || payload;
-        const m = extractMessage(msg);
+      case "messages.upsert":
+      case "send.message": {
+        // `sender` on the payload is the instance's own JID
+        const ownerJid = payload?.sender || null;
+        const [m, ...more] = messagesFromPayload(payload).map((msg) => normalizeMessage(msg, { ownerJid }));
         envelope.id = m?.id;
         envelope.type = "message";
-        envelope.actor = m?.from;
-        envelope.body = { ...m };
+        envelope.actor = m?.sender;
+        envelope.body = m;
+        // A batch: the body is the first message, `messages` holds all of them
+        if (m && more.length > 0) {
+          envelope.body = { ...m, messages: [m, ...more] };
+          envelope.meta.batchSize = more.length + 1;
+        }
         if (INCLUDE_RAW) envelope.raw = safeStringify(payload);
         break;
       }
@@ -596,60 +1669,223 @@ function formatEvent(eventName, payload) {
 }
 
 /* ================================================================
-   BOOT SEQUENCE
+   CONFIG RELOAD  (SIGHUP / POST /admin/config/reload)
    ================================================================ */
 
-async function main() {
-  console.log("\n╔═══════════════════════════════════════════════╗");
-  console.log("║       WESSAAL NODE LAYER — Starting...        ║");
-  console.log("╚═══════════════════════════════════════════════╝\n");
+let forwardingStarted = false; // set by main — later destinations start at once
+
+/**
+ * Build what a new routing table needs before anything is switched, so a
+ * failure (an unwritable outbox dir) leaves the running destinations alone.
+ */
+function prepareDestinations(routing) {
+  const added = new Map();
+  const updated = new Map();
+  for (const config of Object.values(routing.destinations)) {
+    const dest = destinations.get(config.name);
+    if (!dest) added.set(config.name, createDestination(config));
+    else if (JSON.stringify(dest.config) !== JSON.stringify(config)) updated.set(config.name, config);
+  }
+  const removed = [...destinations.keys()].filter((name) => !routing.destinations[name]);
+  return { added, updated, removed };
+}
 
-  // ── Config summary (masked secrets) ──
+/** Switch destinations over — queues, outboxes and circuits of kept ones stay */
+function switchDestinations({ added, updated, removed }) {
+  for (const [name, config] of updated) {
+    const dest = destinations.get(name);
+    dest.config = config;
+    dest.api = createApiClient(config, dest.breaker);
+  }
+  for (const [name, dest] of added) {
+    destinations.set(name, dest);
+    pausedInstances.forEach((instance) => dest.queue.pause(instance));
+    if (forwardingStarted) dest.queue.start();
+  }
+  for (const name of removed) {
+    const dest = destinations.get(name);
+    destinations.delete(name);
+    // Nobody reads a removed destination's outbox — its envelopes become dead letters
+    let moved = 0;
+    dest.queue.drain(({ seq, envelope }, stats) => {
+      deadLetter(dest, envelope, "destination_removed", {}, stats);
+      if (seq != null) dest.outbox?.markDone(seq);
+      moved++;
+    });
+    if (moved > 0) {
+      const where = deadLetters ? "moved to dead letters" : "dropped (DEAD_LETTER_ENABLED=false)";
+      track("CONFIG", "WARN", `[${name}] removed — ${moved} pending envelope(s) ${where}`, {
+        destination: name,
+      });
+    }
+  }
+  return { added: [...added.keys()], updated: [...updated.keys()], removed };
+}
+
+/**
+ * Re-read the environment, `.env`, CONFIG_FILE and ROUTES_FILE and switch
+ * the reloadable settings over in place — open sockets stay connected. A
+ * config that fails validation is rejected whole and the running one kept.
+ * @returns {{ applied, restartNeeded, destinations: { added, updated, removed } }}
+ */
+function reloadConfig(source) {
+  let next, routing, pending;
+  try {
+    const env = currentEnv();
+    next = loadConfig({ env });
+    routing = routingFromConfig(next, env);
+    pending = OWNS_PIPELINE ? prepareDestinations(routing) : null;
+  } catch (err) {
+    const errors = err.errors || [err.message];
+    track(
+      "CONFIG",
+      "ERROR",
+      `Reload (${source}) rejected — keeping the running config:\n  - ${errors.join("\n  - ")}`,
+      { errors },
+    );
+    if (err instanceof ConfigError) throw err;
+    throw new ConfigError(err instanceof RoutingConfigError ? errors.map((e) => `ROUTES_FILE: ${e}`) : errors);
+  }
+
+  const { config, applied, restartNeeded } = planReload(settings, next);
+  // The admin API is mounted at boot or not at all
+  if (!adminAudit && config.ADMIN_KEYS.length > 0 && applied.includes("ADMIN_KEYS")) {
+    applied.splice(applied.indexOf("ADMIN_KEYS"), 1);
+    restartNeeded.push("ADMIN_KEYS");
+  }
+
+  // ── The switch — nothing below throws ──
+  const secretsBefore = logSecrets();
+  settings = config;
+  router = createRouter(routing);
+  const changed = pending ? switchDestinations(pending) : { added: [], updated: [], removed: [] };
+
+  logger.setLevel(settings.LOG_LEVEL);
+  // Old secrets stay redacted too — they may still show up in flight
+  logger.setSecrets([...new Set([...secretsBefore, ...logSecrets()])]);
+  actionClient = actionClientFor(settings);
+  ingestGuard = ingestGuardFor(settings);
+  acceptedEvents = normalizeEventPatterns([...settings.EVENTS, ...settings.FORWARD_EVENTS]);
+  evolution?.setEvents([...settings.EVENTS, ...settings.FORWARD_EVENTS]);
+  if (applied.includes("FRONT_ROLE_EVENTS")) rejoinRoleRooms();
+
+  const destinationChanges = [
+    ...changed.added.map((n) => `+${n}`),
+    ...changed.updated.map((n) => `~${n}`),
+    ...changed.removed.map((n) => `-${n}`),
+  ];
+  const fields = { applied, restartNeeded, destinations: changed };
+  if (applied.length > 0 || destinationChanges.length > 0) {
+    const what = [...applied];
+    if (destinationChanges.length > 0) what.push(`destinations ${destinationChanges.join(" ")}`);
+    track("CONFIG", "SUCCESS", `Reloaded (${source}): ${what.join(", ")}`, fields);
+  } else if (restartNeeded.length === 0) {
+    track("CONFIG", "INFO", `Reload (${source}): nothing changed`, fields);
+  }
+  if (restartNeeded.length > 0) {
+    track("CONFIG", "WARN", `Reload (${source}): ${restartNeeded.join(", ")} changed — takes a restart`, fields);
+  }
+  return { applied, restartNeeded, destinations: changed };
+}
+
+/** Admin reload: in every cluster worker, or in this process */
+async function reloadAll() {
+  if (!IS_WORKER) {
+    try {
+      return reloadConfig("admin");
+    } catch (err) {
+      throw new AdminError(422, "invalid_config", err.errors.join("; "));
+    }
+  }
+  const replies = await clusterBridge.collect("reload", { source: "admin" });
+  const failed = replies.find((r) => r.error);
+  if (failed) {
+    // "Invalid config:\n  - a\n  - b" → "a; b"
+    const message = failed.error.split(/\n\s*- /).slice(1).join("; ") || failed.error;
+    throw new AdminError(422, "invalid_config", message);
+  }
+  return { workers: replies.map((r) => ({ id: r.workerId, owner: r.owner, ...r.result })) };
+}
+
+// SIGHUP reloads; in a cluster the primary relays it, so workers ignore their own
+process.on("SIGHUP", () => {
+  if (IS_WORKER) return;
+  try {
+    reloadConfig("SIGHUP");
+  } catch {} // logged, and the running config kept
+});
+
+/* ================================================================
+   BOOT SEQUENCE
+   ================================================================ */
+
+/** The config block of the boot banner — secrets never printed */
+function printConfig(summary) {
   console.log("── Config ──────────────────────────────────────");
-  console.log(`  BACKEND_URL        : ${BACKEND_URL || "(not set)"}`);
-  console.log(
-    `  HTTPS_PROXY        : ${PROXY_URL ? mask(PROXY_URL, 20) : "(not set)"}`,
-  );
-  console.log(
-    `  WEBHOOK_SECRET     : ${FORWARDER_WEBHOOK_SECRET ? mask(FORWARDER_WEBHOOK_SECRET) : "(not set)"}`,
-  );
-  console.log(
-    `  API_KEY            : ${FORWARDER_API_KEY ? mask(FORWARDER_API_KEY) : "(not set)"}`,
-  );
-  console.log(`  FORWARD_RETRIES    : ${FORWARD_RETRIES}`);
-  console.log(`  FORWARD_TIMEOUT_MS : ${FORWARD_TIMEOUT_MS}`);
-  console.log(`  EVOLUTION_API_URL  : ${EVOLUTION_API_URL || "(not set)"}`);
-  console.log(`  WEBSOCKET_ENABLED  : ${WEBSOCKET_ENABLED}`);
-  console.log(`  GLOBAL_EVENTS      : ${WEBSOCKET_GLOBAL_EVENTS}`);
-  console.log(`  INSTANCE_NAME      : ${INSTANCE_NAME || "(all)"}`);
-  console.log(`  FRONT_WS_PORT      : ${FRONT_WS_PORT}`);
-  console.log(`  FRONT_WS_PATH      : ${FRONT_WS_PATH}`);
-  console.log(`  TRUST_PROXY        : ${TRUST_PROXY}`);
+  for (const [key, value] of Object.entries(summary)) {
+    console.log(logger.redact(`  ${key.padEnd(18)} : ${value}`));
+  }
   console.log("────────────────────────────────────────────────\n");
+}
 
-  // ── Pre-flight TLS diagnostics ──
-  await preflightCheck(BACKEND_URL);
-
-  // ── Start HTTP + front WS server ──
-  await new Promise((resolve, reject) => {
-    httpServer.on("error", (err) => {
-      if (err.code === "EADDRINUSE") {
-        track("SYS", "ERROR", `Port ${FRONT_WS_PORT} is already in use. Set a different PORT or FRONT_WS_PORT in .env`);
-        reject(err);
-      } else {
-        reject(err);
-      }
-    });
-    httpServer.listen(FRONT_WS_PORT, () => {
-      console.log(`\n🚀 WESSAAL NODE LAYER STARTED`);
-      console.log(`📡 Listening on :${FRONT_WS_PORT} | Path: ${FRONT_WS_PATH}`);
-      console.log(`🌍 Origins: ${FRONT_ORIGIN.join(", ")}\n`);
-      resolve();
+async function main() {
+  health.start();
+
+  // Plain cluster workers only serve browsers; the owner prints the config
+  if (!OWNS_PIPELINE) {
+    track("CLUSTER", "SUCCESS", `Worker ${cluster.worker.id} serving browsers (pid ${process.pid})`);
+    return;
+  }
+
+  const summary = summarizeConfig(settings, router);
+  if (logger.pretty) {
+    console.log("\n╔═══════════════════════════════════════════════╗");
+    console.log("║       WESSAAL NODE LAYER — Starting...        ║");
+    console.log("╚═══════════════════════════════════════════════╝\n");
+    printConfig(summary);
+  } else {
+    track("SYS", "INFO", "Starting — config loaded", { config: summary });
+  }
+
+  // ── Start HTTP + front WS server (in a cluster, the primary listens) ──
+  if (IS_WORKER) {
+    track("CLUSTER", "SUCCESS", `Worker ${cluster.worker.id} owns Evolution and forwarding (pid ${process.pid})`);
+  } else {
+    await new Promise((resolve, reject) => {
+      httpServer.on("error", (err) => {
+        if (err.code === "EADDRINUSE") {
+          track("SYS", "ERROR", `Port ${FRONT_WS_PORT} is already in use. Set a different PORT or FRONT_WS_PORT in .env`);
+          reject(err);
+        } else {
+          reject(err);
+        }
+      });
+      httpServer.listen(FRONT_WS_PORT, () => {
+        if (logger.pretty) {
+          console.log(`\n🚀 WESSAAL NODE LAYER STARTED`);
+          console.log(`📡 Listening on :${FRONT_WS_PORT} | Path: ${FRONT_WS_PATH}`);
+          console.log(`🌍 Origins: ${settings.FRONT_ORIGIN.join(", ")}\n`);
+        } else {
+          track("SYS", "SUCCESS", "Listening", {
+            port: FRONT_WS_PORT,
+            path: FRONT_WS_PATH,
+            origins: settings.FRONT_ORIGIN.join(","),
+          });
+        }
+        resolve();
+      });
     });
-  });
+  }
+
+  // ── Start forwarding (recovered outbox entries first) ──
+  destinations.forEach((d) => d.queue.start());
+  forwardingStarted = true;
 
   // ── Connect to Evolution API ──
   bootEvolutionClient();
+
+  // ── Network diagnostics: now, on a schedule and after repeated failures ──
+  diagnostics.start();
 }
 
 main().catch((err) => {
@@ -663,7 +1899,11 @@ main().catch((err) => {
 
 function shutdown(signal) {
   track("SYS", "INFO", `Shutdown signal: ${signal}`);
-  if (evoSocket?.connected) evoSocket.disconnect();
+  if (INSTANCES_FILE) fs.unwatchFile(INSTANCES_FILE);
+  health.stop();
+  diagnostics?.stop();
+  evolution?.closeAll();
+  destinations.forEach((d) => d.queue.stop());
   try {
     ioFront.disconnectSockets(true);
     ioFront.close();
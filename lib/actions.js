@@ -0,0 +1,252 @@
+/* ─────────────────────────────────────────────────────────────
+   ACTIONS — Agent actions proxied to the Evolution REST API
+   ─────────────────────────────────────────────────────────────
+   • Browsers emit `send_text`, `send_media`, `mark_read` and
+     `set_presence`; the payload is validated here and sent to
+     Evolution with the server-side API key
+   • Failures carry a machine-readable `code` for the ack
+   • Requests are never retried — a retried send could deliver
+     the same message twice
+   ───────────────────────────────────────────────────────────── */
+
+const axios = require("axios");
+const { matchesAny, parseList } = require("./patterns");
+
+class ActionError extends Error {
+  constructor(code, message = code, extra = {}) {
+    super(message);
+    this.name = "ActionError";
+    this.code = code;
+    Object.assign(this, extra); // status, errors
+  }
+}
+
+const MEDIA_TYPES = ["image", "video", "document", "audio"];
+const PRESENCES = ["available", "unavailable", "composing", "recording", "paused"];
+const MAX_TEXT = 65536;
+
+/* ───────── Validation ───────── */
+
+/** Phone number (`+55 11 99999-9999`) or JID (`...@g.us`) */
+function recipient(value, errors, field = "number") {
+  if (typeof value !== "string" || !value.trim()) {
+    errors.push(`${field} is required`);
+    return null;
+  }
+  const v = value.trim();
+  if (v.includes("@")) return v;
+  const digits = v.replace(/[\s()+-]/g, "");
+  if (!/^\d{6,20}$/.test(digits)) {
+    errors.push(`${field} must be a phone number or a JID`);
+    return null;
+  }
+  return digits;
+}
+
+function optionalDelay(value, errors) {
+  if (value == null) return undefined;
+  if (!Number.isInteger(value) || value < 0 || value > 60000) {
+    errors.push("delay must be an integer between 0 and 60000 ms");
+  }
+  return value;
+}
+
+function sendTextRequest(p, errors) {
+  const number = recipient(p.number, errors);
+  if (typeof p.text !== "string" || !p.text.trim()) errors.push("text is required");
+  else if (p.text.length > MAX_TEXT) errors.push(`text exceeds ${MAX_TEXT} characters`);
+  if (p.mentions != null && !Array.isArray(p.mentions)) errors.push("mentions must be a list");
+  const body = { number, text: p.text, delay: optionalDelay(p.delay, errors) };
+  if (p.quotedId) body.quoted = { key: { id: String(p.quotedId) } };
+  if (p.mentions?.length) body.mentioned = p.mentions.map(String);
+  if (p.linkPreview != null) body.linkPreview = !!p.linkPreview;
+  return { path: "/message/sendText", body };
+}
+
+function sendMediaRequest(p, errors) {
+  const number = recipient(p.number, errors);
+  if (!MEDIA_TYPES.includes(p.mediatype)) {
+    errors.push(`mediatype must be one of ${MEDIA_TYPES.join(", ")}`);
+  }
+  if (typeof p.media !== "string" || !p.media) {
+    errors.push("media is required (http(s) URL or base64)");
+  }
+  if (p.mediatype === "document" && !p.fileName) errors.push("fileName is required for documents");
+  const delay = optionalDelay(p.delay, errors);
+
+  // Voice notes go through their own endpoint so they play as PTT
+  if (p.mediatype === "audio") {
+    return { path: "/message/sendWhatsAppAudio", body: { number, audio: p.media, delay } };
+  }
+  return {
+    path: "/message/sendMedia",
+    body: {
+      number,
+      mediatype: p.mediatype,
+      mimetype: p.mimetype || undefined,
+      caption: p.caption || undefined,
+      fileName: p.fileName || undefined,
+      media: p.media,
+      delay,
+    },
+  };
+}
+
+function markReadRequest(p, errors) {
+  if (!Array.isArray(p.messages) || p.messages.length === 0) {
+    errors.push("messages must be a non-empty list of { chatJid, id }");
+    return { path: "/chat/markMessageAsRead", body: {} };
+  }
+  const readMessages = p.messages.map((m, i) => {
+    const remoteJid = m?.chatJid || m?.remoteJid;
+    if (typeof remoteJid !== "string" || !remoteJid.includes("@")) {
+      errors.push(`messages[${i}].chatJid must be a JID`);
+    }
+    if (!m?.id) errors.push(`messages[${i}].id is required`);
+    return { remoteJid, fromMe: !!m?.fromMe, id: m?.id };
+  });
+  return { path: "/chat/markMessageAsRead", body: { readMessages } };
+}
+
+function setPresenceRequest(p, errors) {
+  const number = recipient(p.number, errors);
+  if (!PRESENCES.includes(p.presence)) {
+    errors.push(`presence must be one of ${PRESENCES.join(", ")}`);
+  }
+  const delay = optionalDelay(p.delay, errors) ?? 1000;
+  return { path: "/chat/sendPresence", body: { number, presence: p.presence, delay } };
+}
+
+const ACTIONS = {
+  send_text: sendTextRequest,
+  send_media: sendMediaRequest,
+  mark_read: markReadRequest,
+  set_presence: setPresenceRequest,
+};
+const ACTION_NAMES = Object.keys(ACTIONS);
+
+/**
+ * Validate a socket payload and build the Evolution request for it.
+ * Throws ActionError (`unknown_action` / `invalid_payload`, with `errors`).
+ *
+ * @returns {{ instance, path, body }}  path already carries the instance
+ */
+function buildActionRequest(action, payload) {
+  const build = ACTIONS[action];
+  if (!build) throw new ActionError("unknown_action", `Unknown action "${action}"`);
+  if (!payload || typeof payload !== "object") {
+    throw new ActionError("invalid_payload", "payload must be an object", {
+      errors: ["payload must be an object"],
+    });
+  }
+  const errors = [];
+  const instance = typeof payload.instance === "string" ? payload.instance.trim() : "";
+  if (!instance) errors.push("instance is required");
+  const { path, body } = build(payload, errors);
+  if (errors.length > 0) {
+    throw new ActionError("invalid_payload", errors.join("; "), { errors });
+  }
+  return { instance, path: `${path}/${encodeURIComponent(instance)}`, body };
+}
+
+/* ───────── Role limits ───────── */
+
+/**
+ * Parse `FRONT_ROLE_ACTIONS`: `agent:send_text|mark_read,supervisor:*`.
+ * Roles not listed may perform every action.
+ */
+function parseRoleActions(value = "") {
+  const map = new Map();
+  for (const entry of parseList(value)) {
+    const idx = entry.indexOf(":");
+    if (idx <= 0) continue;
+    map.set(entry.slice(0, idx).trim(), parseList(entry.slice(idx + 1), "|"));
+  }
+  return map;
+}
+
+function roleMayAct(roleActions, role, action) {
+  if (!roleActions.has(role)) return true;
+  return matchesAny(roleActions.get(role), action);
+}
+
+/* ───────── Client ───────── */
+
+/** `wss://evo.example.com/ws` → `https://evo.example.com/ws` */
+function restBaseUrl(url) {
+  const u = new URL(url);
+  if (u.protocol === "ws:") u.protocol = "http:";
+  if (u.protocol === "wss:") u.protocol = "https:";
+  return `${u.origin}${u.pathname.replace(/\/+$/, "")}`;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl     Evolution REST base (ws:// URLs are mapped)
+ * @param {string} opts.apiKey      Evolution global API key — never leaves the server
+ * @param {number} [opts.timeoutMs]
+ * @param {object} [opts.httpAgent]   e.g. the HTTPS_PROXY agent backend forwards use
+ * @param {object} [opts.httpsAgent]
+ */
+function createActionClient({ baseUrl, apiKey, timeoutMs = 15000, httpAgent, httpsAgent }) {
+  const api = axios.create({
+    baseURL: restBaseUrl(baseUrl),
+    timeout: timeoutMs,
+    headers: { apikey: apiKey, "Content-Type": "application/json" },
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+  });
+
+  /**
+   * Run one action. Resolves to `{ instance, messageId, status }`; rejects
+   * with ActionError — `evolution_rejected` (4xx, `status` set),
+   * `evolution_timeout` or `evolution_unavailable`.
+   */
+  async function perform(action, payload) {
+    const { instance, path, body } = buildActionRequest(action, payload);
+    let res;
+    try {
+      res = await api.post(path, body);
+    } catch (err) {
+      const status = err.response?.status;
+      if (status >= 400 && status < 500) {
+        throw new ActionError("evolution_rejected", evolutionMessage(err.response.data, status), {
+          status,
+        });
+      }
+      if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+        throw new ActionError("evolution_timeout", `Evolution did not answer within ${timeoutMs} ms`);
+      }
+      throw new ActionError(
+        "evolution_unavailable",
+        status ? `Evolution answered HTTP ${status}` : err.message,
+        status ? { status } : {},
+      );
+    }
+    return {
+      instance,
+      messageId: res.data?.key?.id ?? null,
+      status: res.data?.status ?? null,
+    };
+  }
+
+  return { perform };
+}
+
+/** Evolution errors look like `{ status, error, response: { message: [...] } }` */
+function evolutionMessage(data, status) {
+  const msg = data?.response?.message ?? data?.message ?? data?.error;
+  if (Array.isArray(msg)) return msg.map((m) => (typeof m === "string" ? m : JSON.stringify(m))).join("; ");
+  return typeof msg === "string" && msg ? msg : `Evolution answered HTTP ${status}`;
+}
+
+module.exports = {
+  ActionError,
+  ACTION_NAMES,
+  buildActionRequest,
+  parseRoleActions,
+  roleMayAct,
+  restBaseUrl,
+  createActionClient,
+};
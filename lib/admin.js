@@ -0,0 +1,271 @@
+/* ─────────────────────────────────────────────────────────────
+   ADMIN — Authenticated REST API for runtime inspection / control
+   ─────────────────────────────────────────────────────────────
+   • Every request needs an admin key (`X-Admin-Key` or
+     `Authorization: Bearer`); keys are `id:secret` pairs so the
+     audit log can name who acted
+   • Read endpoints: Evolution connections, front rooms / sockets,
+     forward queues and outboxes, the audit log itself
+   • Actions: reconnect Evolution, disconnect a browser socket,
+     pause / resume forwarding for an instance, replay / purge
+     dead letters — each one is appended to a JSON-lines audit
+     log, failures included
+   • The runtime is reached through `ops`, so the router knows
+     nothing about the pipeline's internals
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { redactUrl } = require("./logger");
+
+class AdminError extends Error {
+  constructor(status, code, message = code) {
+    super(message);
+    this.name = "AdminError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/* ───────── Audit log ───────── */
+
+/** Append-only JSON-lines file; `tail(n)` reads the newest entries back */
+function createAuditLog({ file, track = () => {} }) {
+  if (file) fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  function write(entry) {
+    const line = { at: new Date().toISOString(), ...entry };
+    track(
+      "ADMIN",
+      line.ok ? "SUCCESS" : "WARN",
+      `${line.actor}: ${line.action} ${line.target ?? ""} — ${line.ok ? "ok" : line.error}`,
+      { audit: line },
+    );
+    if (!file) return line;
+    try {
+      fs.appendFileSync(file, JSON.stringify(line) + "\n");
+    } catch (err) {
+      track("ADMIN", "ERROR", `Audit log write failed: ${err.message}`);
+    }
+    return line;
+  }
+
+  function tail(n = 50) {
+    if (!file) return [];
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch {
+      return [];
+    }
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .slice(-n)
+      .map((l) => {
+        try {
+          return JSON.parse(l);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse();
+  }
+
+  return { write, tail, file };
+}
+
+/* ───────── Auth ───────── */
+
+function keyFromRequest(req) {
+  const header = req.headers["x-admin-key"];
+  if (header) return String(header);
+  const auth = req.headers.authorization || "";
+  return auth.startsWith("Bearer ") ? auth.slice(7) : "";
+}
+
+/** The `{ id, secret }` entry whose secret is `value`, or null */
+function matchKey(value, keys) {
+  const given = Buffer.from(typeof value === "string" ? value : "");
+  if (given.length === 0) return null;
+  return (
+    keys.find((k) => {
+      const expected = Buffer.from(k.secret);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }) || null
+  );
+}
+
+/** The key entry an HTTP request presents, or null */
+function authenticate(req, keys) {
+  return matchKey(keyFromRequest(req), keys);
+}
+
+/* ───────── Router ───────── */
+
+/** `{ destination, instance, reason }` out of a query or body, empty keys dropped */
+function deadLetterFilter(source = {}) {
+  const filter = {};
+  for (const key of ["destination", "instance", "reason"]) {
+    if (typeof source?.[key] === "string" && source[key]) filter[key] = source[key];
+  }
+  return filter;
+}
+
+const describeFilter = (filter) =>
+  Object.entries(filter)
+    .map(([k, v]) => `${k}=${v}`)
+    .join(",") || "*all*";
+
+/**
+ * @param {object} opts
+ * @param {{ id, secret }[] | Function} opts.keys  parsed ADMIN_KEYS, or a getter
+ *                                       read per request (reloadable keys)
+ * @param {object} opts.audit            createAuditLog()
+ * @param {object} opts.ops              runtime hooks, all may be async:
+ *   connections(), rooms(), queues(), reconnect(instance | null),
+ *   disconnectSocket(id), pause(instance), resume(instance),
+ *   deadLetters(filter, limit), deadLetter(id), replayDeadLetter(id, url),
+ *   replayDeadLetters(filter, url), purgeDeadLetter(id), purgeDeadLetters(filter),
+ *   reloadConfig(), runDiagnostics()
+ */
+function createAdminRouter({ keys, audit, ops, track = () => {} }) {
+  const router = express.Router();
+  router.use(express.json({ limit: "16kb" }));
+
+  router.use((req, res, next) => {
+    const key = authenticate(req, typeof keys === "function" ? keys() : keys);
+    if (!key) {
+      track("ADMIN", "WARN", `Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+    req.adminKeyId = key.id;
+    next();
+  });
+
+  const read = (fn) => async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (err) {
+      res.status(err.status || 500).json({ ok: false, error: err.code || "internal_error", message: err.message });
+    }
+  };
+
+  /** Run an action and audit it, whatever the outcome */
+  const act = (action, targetOf, fn, detailOf = () => ({})) => async (req, res) => {
+    const base = {
+      actor: req.adminKeyId,
+      ip: req.ip,
+      action,
+      target: targetOf(req),
+      ...detailOf(req),
+    };
+    try {
+      const result = (await fn(req)) ?? {};
+      audit.write({ ...base, ok: true });
+      res.json({ ok: true, action, target: base.target, ...result });
+    } catch (err) {
+      const code = err.code || "internal_error";
+      audit.write({ ...base, ok: false, error: code });
+      res.status(err.status || 500).json({ ok: false, error: code, message: err.message });
+    }
+  };
+
+  router.get("/connections", read(() => ops.connections()));
+  router.get("/rooms", read(() => ops.rooms()));
+  router.get("/queues", read(() => ops.queues()));
+  router.get(
+    "/audit",
+    read((req) => audit.tail(Math.min(parseInt(req.query.limit, 10) || 50, 1000))),
+  );
+
+  router.post(
+    "/connections/reconnect",
+    act("reconnect", () => "*all*", () => ops.reconnect(null)),
+  );
+  router.post(
+    "/connections/:instance/reconnect",
+    act("reconnect", (req) => req.params.instance, (req) => ops.reconnect(req.params.instance)),
+  );
+  router.post(
+    "/sockets/:id/disconnect",
+    act("disconnect_socket", (req) => req.params.id, (req) => ops.disconnectSocket(req.params.id)),
+  );
+  router.post(
+    "/instances/:instance/pause",
+    act("pause_forwarding", (req) => req.params.instance, (req) => ops.pause(req.params.instance)),
+  );
+  router.post(
+    "/instances/:instance/resume",
+    act("resume_forwarding", (req) => req.params.instance, (req) => ops.resume(req.params.instance)),
+  );
+
+  router.post(
+    "/config/reload",
+    act("reload_config", () => "config", () => ops.reloadConfig()),
+  );
+  router.post(
+    "/diagnostics/run",
+    act("run_diagnostics", () => "*all*", () => ops.runDiagnostics()),
+  );
+
+  /* ───────── Dead letters ───────── */
+
+  const replayUrl = (req) => (typeof req.body?.url === "string" && req.body.url ? req.body.url : null);
+  const withUrl = (req) => (replayUrl(req) ? { url: redactUrl(replayUrl(req)) } : {});
+
+  router.get(
+    "/dead-letters",
+    read((req) => ops.deadLetters(deadLetterFilter(req.query), parseInt(req.query.limit, 10) || 0)),
+  );
+  router.get("/dead-letters/:id", read((req) => ops.deadLetter(req.params.id)));
+  router.post(
+    "/dead-letters/replay",
+    act(
+      "replay_dead_letters",
+      (req) => describeFilter(deadLetterFilter(req.body)),
+      (req) => {
+        const filter = deadLetterFilter(req.body);
+        const limit = parseInt(req.body?.limit, 10) || 0;
+        return ops.replayDeadLetters(limit ? { ...filter, limit } : filter, replayUrl(req));
+      },
+      withUrl,
+    ),
+  );
+  router.post(
+    "/dead-letters/:id/replay",
+    act(
+      "replay_dead_letter",
+      (req) => req.params.id,
+      (req) => ops.replayDeadLetter(req.params.id, replayUrl(req)),
+      withUrl,
+    ),
+  );
+  router.delete(
+    "/dead-letters/:id",
+    act("purge_dead_letter", (req) => req.params.id, (req) => ops.purgeDeadLetter(req.params.id)),
+  );
+  router.delete(
+    "/dead-letters",
+    act(
+      "purge_dead_letters",
+      (req) => describeFilter(deadLetterFilter(req.query)),
+      (req) => {
+        const filter = deadLetterFilter(req.query);
+        // An empty filter means everything — make the caller say so
+        if (Object.keys(filter).length === 0 && req.query.all !== "true") {
+          throw new AdminError(400, "filter_required", "Pass a filter or all=true");
+        }
+        return ops.purgeDeadLetters(filter);
+      },
+    ),
+  );
+
+  router.use((req, res) => res.status(404).json({ ok: false, error: "not_found" }));
+  return router;
+}
+
+module.exports = { AdminError, createAuditLog, createAdminRouter, authenticate, matchKey };
@@ -0,0 +1,96 @@
+/* ─────────────────────────────────────────────────────────────
+   CIRCUIT BREAKER — Stop hammering a backend that is down
+   ─────────────────────────────────────────────────────────────
+   • closed    → requests flow; consecutive failures are counted
+   • open      → after `failureThreshold` failures, requests are
+                 short-circuited for `resetTimeoutMs`
+   • half_open → one probe is let through; success closes the
+                 circuit, failure re-opens it
+   ───────────────────────────────────────────────────────────── */
+
+const CLOSED = "closed";
+const OPEN = "open";
+const HALF_OPEN = "half_open";
+
+function createCircuitBreaker({
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  onStateChange = () => {},
+  now = Date.now,
+} = {}) {
+  let state = CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let lastChangeAt = now();
+  let probeInFlight = false;
+
+  function transition(next, reason) {
+    if (next === state) return;
+    const prev = state;
+    state = next;
+    lastChangeAt = now();
+    onStateChange({ from: prev, to: next, failures, reason });
+  }
+
+  /** True when a request may go out; moves open → half_open when due */
+  function allow() {
+    if (failureThreshold <= 0) return true; // disabled
+    if (state === CLOSED) return true;
+    if (state === OPEN && now() - openedAt >= resetTimeoutMs) {
+      transition(HALF_OPEN, "reset timeout elapsed");
+    }
+    if (state === HALF_OPEN && !probeInFlight) {
+      probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    probeInFlight = false;
+    openedAt = null;
+    transition(CLOSED, "request succeeded");
+  }
+
+  function recordFailure() {
+    failures++;
+    if (state === HALF_OPEN) {
+      probeInFlight = false;
+      openedAt = now();
+      transition(OPEN, "probe failed");
+    } else if (state === CLOSED && failureThreshold > 0 && failures >= failureThreshold) {
+      openedAt = now();
+      transition(OPEN, `${failures} consecutive failures`);
+    }
+  }
+
+  /** ms until the next probe is allowed (0 when not open) */
+  function retryAfterMs() {
+    if (state !== OPEN) return 0;
+    return Math.max(resetTimeoutMs - (now() - openedAt), 0);
+  }
+
+  function snapshot() {
+    return {
+      state,
+      failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      lastChangeAt: new Date(lastChangeAt).toISOString(),
+      retryAfterMs: retryAfterMs(),
+    };
+  }
+
+  return {
+    allow,
+    recordSuccess,
+    recordFailure,
+    retryAfterMs,
+    snapshot,
+    get state() {
+      return state;
+    },
+  };
+}
+
+module.exports = { createCircuitBreaker, CLOSED, OPEN, HALF_OPEN };
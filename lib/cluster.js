@@ -0,0 +1,226 @@
+/* ─────────────────────────────────────────────────────────────
+   CLUSTER — Front Socket.IO spread over several processes
+   ─────────────────────────────────────────────────────────────
+   • The primary owns the port and hands every connection to a
+     worker, sticky per Socket.IO session (@socket.io/sticky)
+   • Room emits reach every worker through the cluster adapter
+     (@socket.io/cluster-adapter), relayed by the primary
+   • Exactly one worker is the owner: Evolution connection,
+     forwarding, outbox. It is restarted as owner if it dies
+   • Workers ask the primary to collect state from every worker
+     (`/ready`, `/metrics`) or to run a call in the owner
+   • SIGHUP on the primary is relayed to every worker as a
+     `reload` call
+   ───────────────────────────────────────────────────────────── */
+
+const cluster = require("cluster");
+const http = require("http");
+const { setupMaster } = require("@socket.io/sticky");
+const { setupPrimary } = require("@socket.io/cluster-adapter");
+
+const TAG = "wn:cluster"; // marks our IPC messages among sticky / adapter ones
+const OWNER_ROLE = "owner";
+
+/**
+ * Run the cluster primary: listen, fork, balance, restart, relay calls.
+ *
+ * @param {object} opts
+ * @param {number} opts.workers
+ * @param {number} opts.port
+ * @param {object} [opts.env]            extra environment for every worker
+ * @param {number} [opts.callTimeoutMs]   per-worker answer timeout
+ * @param {number} [opts.restartDelayMs]
+ */
+function runPrimary({
+  workers,
+  port,
+  env = {},
+  callTimeoutMs = 3000,
+  restartDelayMs = 1000,
+  track = () => {},
+}) {
+  const httpServer = http.createServer();
+  setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+  setupPrimary();
+
+  let ownerId = null;
+  let stopping = false;
+  let nextCallId = 0;
+  const pending = new Map(); // callId → resolve
+
+  function fork(owner) {
+    const worker = cluster.fork({ ...env, CLUSTER_ROLE: owner ? OWNER_ROLE : "worker" });
+    if (owner) ownerId = worker.id;
+    worker.on("message", (msg) => onMessage(worker, msg));
+    return worker;
+  }
+
+  /** Ask one worker to run `what`; resolves `{ workerId, result }` or `{ workerId, error }` */
+  function call(worker, what, data, timeoutMs = callTimeoutMs) {
+    return new Promise((resolve) => {
+      const id = ++nextCallId;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        resolve({ workerId: worker.id, error: "timeout" });
+      }, timeoutMs);
+      pending.set(id, (reply) => {
+        clearTimeout(timer);
+        resolve({ workerId: worker.id, ...reply });
+      });
+      try {
+        worker.send({ [TAG]: "call", id, what, data });
+      } catch (err) {
+        pending.delete(id);
+        clearTimeout(timer);
+        resolve({ workerId: worker.id, error: err.message });
+      }
+    });
+  }
+
+  async function onMessage(worker, msg) {
+    if (!msg || !msg[TAG]) return;
+    if (msg[TAG] === "reply") {
+      pending.get(msg.id)?.({ result: msg.result, error: msg.error });
+      pending.delete(msg.id);
+      return;
+    }
+    if (msg[TAG] !== "request") return;
+
+    let response;
+    if (msg.kind === "collect") {
+      const live = Object.values(cluster.workers).filter((w) => w.isConnected());
+      const replies = await Promise.all(live.map((w) => call(w, msg.what, msg.data, msg.timeoutMs)));
+      response = {
+        result: replies.map((r) => ({ ...r, owner: r.workerId === ownerId })),
+      };
+    } else {
+      const owner = cluster.workers[ownerId];
+      response = owner?.isConnected()
+        ? await call(owner, msg.what, msg.data, msg.timeoutMs)
+        : { error: "owner_unavailable" };
+    }
+    if (worker.isConnected()) {
+      worker.send({ [TAG]: "response", id: msg.id, result: response.result, error: response.error });
+    }
+  }
+
+  cluster.on("exit", (worker, code, signal) => {
+    if (stopping) return;
+    const owner = worker.id === ownerId;
+    track(
+      "CLUSTER",
+      "ERROR",
+      `Worker ${worker.id} (pid ${worker.process.pid}${owner ? ", owner" : ""}) exited (${signal || code}) — restarting`,
+    );
+    setTimeout(() => fork(owner), restartDelayMs);
+  });
+
+  httpServer.on("error", (err) => {
+    track("CLUSTER", "ERROR", `Cannot listen on :${port} — ${err.message}`);
+    process.exit(1);
+  });
+  httpServer.listen(port, () => {
+    track("CLUSTER", "SUCCESS", `Primary listening on :${port} — ${workers} workers`);
+    for (let i = 0; i < workers; i++) fork(i === 0);
+  });
+
+  function stop(signal) {
+    if (stopping) return;
+    stopping = true;
+    track("CLUSTER", "INFO", `Shutdown signal: ${signal} — stopping workers`);
+    httpServer.close();
+    for (const w of Object.values(cluster.workers)) w.process.kill("SIGTERM");
+    const check = setInterval(() => {
+      if (Object.keys(cluster.workers).length === 0) process.exit(0);
+    }, 100);
+    // Workers force-exit after 5 s themselves; don't outlive them by much
+    setTimeout(() => {
+      clearInterval(check);
+      process.exit(1);
+    }, 7000).unref();
+  }
+  process.on("SIGINT", () => stop("SIGINT"));
+  process.on("SIGTERM", () => stop("SIGTERM"));
+
+  // Each worker re-reads and validates the config itself and logs the outcome
+  async function reload() {
+    const live = Object.values(cluster.workers).filter((w) => w.isConnected());
+    track("CLUSTER", "INFO", `SIGHUP — reloading config in ${live.length} worker(s)`);
+    const replies = await Promise.all(live.map((w) => call(w, "reload", { source: "SIGHUP" })));
+    const failed = replies.filter((r) => r.error);
+    if (failed.length > 0) {
+      track("CLUSTER", "ERROR", `Config reload failed in worker(s) ${failed.map((r) => r.workerId).join(", ")}`);
+    }
+    return replies;
+  }
+  process.on("SIGHUP", reload);
+
+  return { stop, reload, ownerId: () => ownerId };
+}
+
+/**
+ * Worker side of the primary's relay.
+ *
+ * @param {object} handlers  what → async (data) => result, callable by any worker
+ * @returns {{ collect(what, data, opts), toOwner(what, data, opts) }}
+ *   collect resolves `[{ workerId, owner, result | error }]` for every live worker;
+ *   `opts.timeoutMs` stretches the wait for slow calls
+ */
+function createWorkerBridge(handlers, { timeoutMs = 10000 } = {}) {
+  let nextId = 0;
+  const waiting = new Map(); // id → { resolve, reject, timer }
+
+  process.on("message", async (msg) => {
+    if (!msg || !msg[TAG]) return;
+    if (msg[TAG] === "call") {
+      let result, error;
+      try {
+        const handler = handlers[msg.what];
+        if (!handler) throw new Error(`no handler for "${msg.what}"`);
+        result = await handler(msg.data);
+      } catch (err) {
+        error = err.message;
+      }
+      process.send({ [TAG]: "reply", id: msg.id, result, error });
+    } else if (msg[TAG] === "response") {
+      const w = waiting.get(msg.id);
+      if (!w) return;
+      waiting.delete(msg.id);
+      clearTimeout(w.timer);
+      if (msg.error) w.reject(new Error(msg.error));
+      else w.resolve(msg.result);
+    }
+  });
+
+  function request(kind, what, data, opts = {}) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextId;
+      // The primary's per-worker timeout must run out first
+      const timer = setTimeout(() => {
+        waiting.delete(id);
+        reject(new Error(`cluster ${kind} "${what}" timed out`));
+      }, (opts.timeoutMs ?? 0) + timeoutMs);
+      waiting.set(id, { resolve, reject, timer });
+      process.send({ [TAG]: "request", id, kind, what, data, timeoutMs: opts.timeoutMs });
+    });
+  }
+
+  return {
+    collect: (what, data, opts) => request("collect", what, data, opts),
+    toOwner: (what, data, opts) => request("owner", what, data, opts),
+  };
+}
+
+/** `auto` → one worker per core; anything below 2 turns clustering off */
+function parseWorkerCount(value, cores) {
+  if (String(value).toLowerCase() === "auto") return cores;
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 1 ? n : 0;
+}
+
+module.exports = {
+  OWNER_ROLE,
+  runPrimary,
+  createWorkerBridge,
+  parseWorkerCount,
+};
@@ -0,0 +1,521 @@
+/* ─────────────────────────────────────────────────────────────
+   CONFIG — Every setting, validated before anything starts
+   ─────────────────────────────────────────────────────────────
+   • One schema lists each setting with its type, default, range
+     or allowed values, and whether it is a secret
+   • Values come from the environment, then an optional
+     CONFIG_FILE (`--config path`): JSON, or flat `KEY: value`
+     YAML — the environment wins over the file
+   • Types, ranges, URLs and settings that depend on each other
+     are checked together; every problem is reported at once
+   • `summarizeConfig` is the boot summary: secrets only as
+     set / not set, URL credentials and query strings stripped
+   ───────────────────────────────────────────────────────────── */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseList } = require("./patterns");
+const { parseSigningKeys } = require("./signing");
+const { parseRoleEvents } = require("./front-auth");
+const { parseRoleActions, ACTION_NAMES } = require("./actions");
+const { parseAllowlist } = require("./ingest");
+const { parseWorkerCount } = require("./cluster");
+const { LEVELS, redactUrl } = require("./logger");
+const { loadRoutingFile } = require("./routing");
+const { CHECK_NAMES } = require("./health");
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid config:\n  - ${errors.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+const HTTP = ["http:", "https:"];
+const HTTP_OR_WS = ["http:", "https:", "ws:", "wss:"];
+
+/* ───────── Schema ─────────
+   type     boolean | integer | string | list | keys | url | enum
+   env      variable names read in order (default: the setting name)
+   default  value or (config so far) => value
+   min/max  integer range · values: enum choices · protocols: url schemes
+   parse    turns the validated string into what the pipeline uses
+   check    throws when the value is unusable
+   secret   never echoed in errors or the summary; redacted from logs
+   reload   switched over in place by a reload; the rest needs a restart */
+
+const SCHEMA = {
+  // Evolution
+  WEBSOCKET_ENABLED: { type: "boolean", default: false },
+  WEBSOCKET_GLOBAL_EVENTS: { type: "boolean", default: false },
+  EVOLUTION_API_URL: { type: "url", protocols: HTTP_OR_WS },
+  // REST side of Evolution for agent actions
+  EVOLUTION_REST_URL: { type: "url", protocols: HTTP_OR_WS, default: (c) => c.EVOLUTION_API_URL },
+  EVOLUTION_API_KEY: { type: "string", secret: true },
+  ACTION_TIMEOUT_MS: { type: "integer", default: 15000, min: 1 },
+  INSTANCE_NAME: { type: "string" },
+  INSTANCE_NAMES: { type: "list" },
+  INSTANCES_FILE: { type: "string" },
+  EVENTS: { type: "list", reload: true },
+  ALLOW_POLLING: { type: "boolean", default: true },
+
+  // Webhook ingestion
+  INGEST_ENABLED: { type: "boolean", default: false },
+  INGEST_SECRETS: { type: "list", secret: true, reload: true },
+  INGEST_ALLOW_IPS: { type: "string", check: parseAllowlist, reload: true },
+  INGEST_TRUST_PROXY: { type: "boolean", default: false, reload: true },
+  INGEST_BODY_LIMIT: { type: "string", default: "100mb" },
+  DEDUP_TTL_MS: { type: "integer", default: 600000, min: 0 },
+  DEDUP_HASH_WINDOW_MS: { type: "integer", default: 5000, min: 0 },
+  DEDUP_MAX_ENTRIES: { type: "integer", default: 50000, min: 1 },
+
+  // Admin API
+  ADMIN_KEYS: { type: "keys", secret: true, reload: true },
+  ADMIN_AUDIT_FILE: { type: "string", default: "data/admin-audit.log" },
+
+  // Front server
+  FRONT_WS_PORT: { type: "integer", env: ["PORT", "FRONT_WS_PORT"], default: 4000, min: 1, max: 65535 },
+  FRONT_ORIGIN: { type: "list", default: ["*"], reload: true },
+  FRONT_WS_PATH: {
+    type: "string",
+    default: "/ws",
+    check: (v) => {
+      if (!v.startsWith("/")) throw new Error('must start with "/"');
+    },
+  },
+  TRUST_PROXY: { type: "boolean", default: true },
+  FRONT_AUTH_SECRETS: { type: "list", secret: true, reload: true },
+  FRONT_ROLE_EVENTS: { type: "string", parse: parseRoleEvents, reload: true },
+  FRONT_ROLE_ACTIONS: { type: "string", parse: parseRoleActions, reload: true },
+  FRONT_HISTORY_SIZE: { type: "integer", default: 200, min: 0 },
+
+  // Forwarding
+  BACKEND_URL: { type: "url", protocols: HTTP, reload: true },
+  BACKEND_API_KEY: { type: "string", secret: true, reload: true },
+  BACKEND_WEBHOOK_SECRET: { type: "string", secret: true, reload: true },
+  EVOLUTION_WEBHOOK_SECRET: { type: "string", secret: true, reload: true },
+  WEBHOOK_SIGNING_KEYS: { type: "keys", secret: true, reload: true },
+  FORWARD_EVENTS: { type: "list", reload: true },
+  INCLUDE_RAW: { type: "boolean", default: false },
+  RAW_MAX: { type: "integer", default: 512, min: 0 },
+  FORWARD_TIMEOUT_MS: { type: "integer", default: 10000, min: 1, reload: true },
+  FORWARD_RETRIES: { type: "integer", default: 4, min: 0, reload: true },
+  ROUTES_FILE: { type: "string", reload: true },
+  CIRCUIT_FAILURE_THRESHOLD: { type: "integer", default: 5, min: 0 },
+  CIRCUIT_RESET_MS: { type: "integer", default: 30000, min: 1 },
+  OUTBOX_ENABLED: { type: "boolean", default: true },
+  OUTBOX_DIR: { type: "string", default: "data/outbox" },
+  DEAD_LETTER_ENABLED: { type: "boolean", default: true },
+  DEAD_LETTER_DIR: { type: "string", default: "data/dead-letter" },
+  QUEUE_CONCURRENCY: { type: "integer", default: 1, min: 1 },
+  QUEUE_MAX_LENGTH: { type: "integer", default: 10000, min: 1 },
+  QUEUE_OVERFLOW: { type: "enum", values: ["drop_oldest", "drop_newest"], default: "drop_oldest" },
+  QUEUE_RETRY_DELAY_MS: { type: "integer", default: 2000, min: 1 },
+  QUEUE_MAX_RETRY_DELAY_MS: { type: "integer", default: 60000, min: 1 },
+  QUEUE_MAX_ATTEMPTS: { type: "integer", default: 5, min: 0 },
+
+  // Readiness — checks that make `/ready` answer 503
+  READY_CHECKS: {
+    type: "list",
+    default: CHECK_NAMES,
+    check: (v) => {
+      const unknown = v.filter((name) => !CHECK_NAMES.includes(name));
+      if (unknown.length) throw new Error(`unknown check ${unknown.join(", ")} (known: ${CHECK_NAMES.join(", ")})`);
+    },
+    reload: true,
+  },
+  READY_OUTBOX_MAX: { type: "integer", default: 1000, min: 1, reload: true },
+  READY_MAX_LAG_MS: { type: "integer", default: 1000, min: 1, reload: true },
+
+  // Network diagnostics — DNS/TCP/TLS/proxy probes of Evolution and backends
+  DIAG_INTERVAL_MS: { type: "integer", default: 900000, min: 0 },
+  DIAG_TIMEOUT_MS: { type: "integer", default: 8000, min: 1 },
+  DIAG_CERT_WARN_DAYS: { type: "integer", default: 14, min: 0 },
+  DIAG_FAILURE_THRESHOLD: { type: "integer", default: 3, min: 0 },
+
+  // Media
+  MEDIA_STORE: { type: "enum", values: ["local", "s3"] },
+  MEDIA_DIR: { type: "string", default: "data/media" },
+  MEDIA_PUBLIC_URL: {
+    type: "url",
+    protocols: HTTP,
+    default: (c) => `http://localhost:${c.FRONT_WS_PORT}`,
+  },
+  MEDIA_URL_SECRET: { type: "string", secret: true },
+  MEDIA_URL_TTL_SEC: { type: "integer", default: 604800, min: 0 },
+  MEDIA_MAX_BYTES: { type: "integer", default: 50 * 1024 * 1024, min: 1 },
+  MEDIA_S3_ENDPOINT: { type: "url", protocols: HTTP, default: "https://s3.amazonaws.com" },
+  MEDIA_S3_BUCKET: { type: "string" },
+  MEDIA_S3_REGION: { type: "string", default: "us-east-1" },
+  MEDIA_S3_ACCESS_KEY: { type: "string" },
+  MEDIA_S3_SECRET_KEY: { type: "string", secret: true },
+  MEDIA_S3_PREFIX: { type: "string" },
+
+  // Cluster — `auto` = one worker per core, below 2 = off
+  CLUSTER_WORKERS: {
+    type: "string",
+    default: "0",
+    check: (v) => {
+      if (v.toLowerCase() !== "auto" && !/^\d+$/.test(v)) throw new Error('must be "auto" or a number');
+    },
+    parse: (v) => parseWorkerCount(v, os.availableParallelism?.() || os.cpus().length),
+  },
+
+  // Outbound proxy
+  HTTPS_PROXY: {
+    type: "url",
+    protocols: HTTP,
+    env: ["HTTPS_PROXY", "HTTP_PROXY", "https_proxy", "http_proxy"],
+  },
+
+  // Logging
+  LOG_LEVEL: { type: "enum", values: Object.keys(LEVELS), default: "info", reload: true },
+  LOG_FORMAT: { type: "enum", values: ["pretty", "json"], default: "pretty" },
+  LOG_REDACT_PHONES: { type: "boolean", default: true },
+  LOG_REDACT: { type: "list", secret: true, reload: true },
+};
+
+/* ───────── Values ───────── */
+
+const TRUE = ["true", "1", "yes", "on"];
+const FALSE = ["false", "0", "no", "off"];
+
+const asText = (v) => (Array.isArray(v) ? v.join(",") : String(v)).trim();
+
+/** Validate one raw value against its schema entry; throws with the reason */
+function coerce(field, raw) {
+  const text = asText(raw);
+  switch (field.type) {
+    case "boolean":
+      if (TRUE.includes(text.toLowerCase())) return true;
+      if (FALSE.includes(text.toLowerCase())) return false;
+      throw new Error("must be true or false");
+    case "integer": {
+      if (!/^-?\d+$/.test(text)) throw new Error("must be a whole number");
+      const n = Number(text);
+      if (field.min !== undefined && n < field.min) throw new Error(`must be at least ${field.min}`);
+      if (field.max !== undefined && n > field.max) throw new Error(`must be at most ${field.max}`);
+      return n;
+    }
+    case "list":
+      return parseList(text);
+    case "keys":
+      return parseSigningKeys(text);
+    case "url": {
+      let u;
+      try {
+        u = new URL(text);
+      } catch {
+        throw new Error("must be a URL");
+      }
+      if (!field.protocols.includes(u.protocol)) {
+        throw new Error(`must be an ${field.protocols.map((p) => p.slice(0, -1)).join(" / ")} URL`);
+      }
+      return text;
+    }
+    case "enum":
+      if (!field.values.includes(text.toLowerCase())) {
+        throw new Error(`must be one of ${field.values.join(", ")}`);
+      }
+      return text.toLowerCase();
+    default:
+      return text;
+  }
+}
+
+/** Empty settings count as unset, as they always have */
+const isUnset = (v) => v === undefined || v === null || asText(v) === "";
+
+/* ───────── Config file ───────── */
+
+/** One YAML scalar: quotes removed, trailing comment dropped, `~` / null unset */
+function yamlScalar(text, where) {
+  const s = text.trim();
+  if (s.startsWith('"') || s.startsWith("'")) {
+    const end = s.indexOf(s[0], 1);
+    if (end < 0 || !/^\s*(#.*)?$/.test(s.slice(end + 1))) throw new Error(`${where}: unterminated string`);
+    return s[0] === '"' ? JSON.parse(s.slice(0, end + 1)) : s.slice(1, end);
+  }
+  const value = s.replace(/\s+#.*$/, "").replace(/^#.*$/, "");
+  if (value === "~" || value === "null") return null;
+  if (value.startsWith("[") && value.endsWith("]")) {
+    return parseList(value.slice(1, -1)).map((v) => yamlScalar(v, where));
+  }
+  return value;
+}
+
+/**
+ * The YAML a settings file needs, without a parser dependency: top-level
+ * `KEY: value` pairs, `[a, b]` or `- item` lists, quotes and comments.
+ */
+function parseFlatYaml(text) {
+  const out = {};
+  let listKey = null;
+  text.split(/\r?\n/).forEach((line, i) => {
+    const where = `line ${i + 1}`;
+    if (/^\s*(#.*)?$/.test(line) || line.trim() === "---") return;
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item) {
+      if (!listKey) throw new Error(`${where}: list item without a key`);
+      out[listKey].push(yamlScalar(item[1], where));
+      return;
+    }
+    const pair = /^([A-Za-z_][A-Za-z0-9_]*)\s*:(?:\s+(.*))?$/.exec(line);
+    if (!pair) throw new Error(`${where}: expected "KEY: value"`);
+    const [, key, value = ""] = pair;
+    listKey = null;
+    if (/^\s*(#.*)?$/.test(value)) {
+      listKey = key;
+      out[key] = [];
+    } else {
+      out[key] = yamlScalar(value, where);
+    }
+  });
+  // A key with neither a value nor items is simply unset
+  for (const [k, v] of Object.entries(out)) if (Array.isArray(v) && v.length === 0) out[k] = null;
+  return out;
+}
+
+/** Settings from a `.json`, `.yaml` or `.yml` file */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  const data = [".yaml", ".yml"].includes(ext) ? parseFlatYaml(text) : JSON.parse(text);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("must hold an object of settings");
+  }
+  return data;
+}
+
+/** `--config path` / `--config=path` on the command line, else CONFIG_FILE */
+function configFileFrom(argv, env) {
+  const i = argv.findIndex((a) => a === "--config" || a.startsWith("--config="));
+  if (i >= 0) return argv[i].includes("=") ? argv[i].slice(9) : argv[i + 1] || "";
+  return (env.CONFIG_FILE || "").trim();
+}
+
+/* ───────── Cross checks ───────── */
+
+/** Settings that only make sense together — each returns a problem or nothing */
+const RULES = [
+  (c) =>
+    c.WEBSOCKET_ENABLED &&
+    !c.EVOLUTION_API_URL &&
+    "EVOLUTION_API_URL is required when WEBSOCKET_ENABLED=true",
+  (c) =>
+    c.WEBSOCKET_ENABLED &&
+    !c.WEBSOCKET_GLOBAL_EVENTS &&
+    !c.INSTANCE_NAME &&
+    c.INSTANCE_NAMES.length === 0 &&
+    !c.INSTANCES_FILE &&
+    "Traditional mode (WEBSOCKET_GLOBAL_EVENTS=false) requires INSTANCE_NAME, INSTANCE_NAMES or INSTANCES_FILE",
+  (c) =>
+    c.QUEUE_MAX_RETRY_DELAY_MS < c.QUEUE_RETRY_DELAY_MS &&
+    "QUEUE_MAX_RETRY_DELAY_MS must not be below QUEUE_RETRY_DELAY_MS",
+  (c) => {
+    if (c.MEDIA_STORE !== "s3") return null;
+    const missing = ["MEDIA_S3_BUCKET", "MEDIA_S3_ACCESS_KEY", "MEDIA_S3_SECRET_KEY"].filter((k) => !c[k]);
+    return missing.length > 0 && `MEDIA_STORE=s3 requires ${missing.join(", ")}`;
+  },
+];
+
+/* ───────── Loading ───────── */
+
+/**
+ * Read, validate and freeze the configuration. Throws ConfigError listing
+ * every problem at once.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.env]     default: process.env
+ * @param {string[]} [opts.argv]  default: process.argv (for `--config`)
+ * @returns {object} `{ CONFIG_FILE, [setting]: value }`
+ */
+function loadConfig({ env = process.env, argv = process.argv } = {}) {
+  const errors = [];
+  const configFile = configFileFrom(argv, env);
+  let fromFile = {};
+  if (configFile) {
+    try {
+      fromFile = readConfigFile(configFile);
+    } catch (err) {
+      errors.push(`CONFIG_FILE: cannot read ${configFile}: ${err.message}`);
+    }
+    for (const key of Object.keys(fromFile)) {
+      if (!SCHEMA[key]) errors.push(`${key} (in ${path.basename(configFile)}): unknown setting`);
+    }
+  }
+
+  const config = { CONFIG_FILE: configFile };
+  for (const [name, field] of Object.entries(SCHEMA)) {
+    const fallback = typeof field.default === "function" ? field.default(config) : field.default;
+    const envName = (field.env || [name]).find((n) => !isUnset(env[n]));
+    const raw = envName ? env[envName] : fromFile[name];
+    const label = envName || `${name} (in ${path.basename(configFile)})`;
+
+    let value;
+    try {
+      if (isUnset(raw)) {
+        value = fallback ?? (["list", "keys"].includes(field.type) ? [] : "");
+      } else {
+        value = coerce(field, raw);
+        field.check?.(value);
+      }
+      if (field.parse) value = field.parse(value);
+    } catch (err) {
+      const got = field.secret ? "" : ` (got ${JSON.stringify(asText(raw))})`;
+      errors.push(`${label}: ${err.message}${got}`);
+      value = field.parse ? field.parse(fallback ?? "") : (fallback ?? "");
+    }
+    config[name] = value;
+  }
+
+  for (const rule of RULES) {
+    const problem = rule(config);
+    if (problem) errors.push(problem);
+  }
+  // The routing table is part of the config: its errors are reported too
+  if (config.ROUTES_FILE) {
+    try {
+      loadRoutingFile(config.ROUTES_FILE, {
+        defaults: { timeoutMs: config.FORWARD_TIMEOUT_MS, retries: config.FORWARD_RETRIES },
+        env,
+      });
+    } catch (err) {
+      errors.push(...(err.errors || [err.message]).map((e) => `ROUTES_FILE: ${e}`));
+    }
+  }
+
+  if (errors.length > 0) throw new ConfigError(errors);
+  return Object.freeze(config);
+}
+
+/* ───────── Reload ───────── */
+
+const comparable = (v) => JSON.stringify(v instanceof Map ? [...v] : v);
+
+/**
+ * What reloading `next` over the running `prev` does: the reloadable
+ * settings change, the others keep their running value until a restart.
+ * @returns {{ config, applied: string[], restartNeeded: string[] }}
+ */
+function planReload(prev, next) {
+  const config = { ...prev };
+  const applied = [];
+  const restartNeeded = [];
+  for (const [name, field] of Object.entries(SCHEMA)) {
+    if (comparable(prev[name]) === comparable(next[name])) continue;
+    if (field.reload) {
+      config[name] = next[name];
+      applied.push(name);
+    } else {
+      restartNeeded.push(name);
+    }
+  }
+  return { config: Object.freeze(config), applied, restartNeeded };
+}
+
+/** Every secret value in the config, plus passwords inside URLs */
+function configSecrets(config) {
+  const list = [];
+  for (const [name, field] of Object.entries(SCHEMA)) {
+    const value = config[name];
+    if (field.type === "url" && value) {
+      try {
+        const u = new URL(value);
+        if (u.password) list.push(decodeURIComponent(u.password));
+      } catch {}
+    }
+    if (!field.secret) continue;
+    if (field.type === "keys") list.push(...value.map((k) => k.secret));
+    else if (Array.isArray(value)) list.push(...value);
+    else list.push(value);
+  }
+  return list.map((s) => (s || "").trim()).filter(Boolean);
+}
+
+/* ───────── Summary ───────── */
+
+/**
+ * Config as printed on boot — secrets reduced to set / not set.
+ * @param {object} config
+ * @param {{ destinations: object, rules: any[] }} router  the routing table in use
+ */
+function summarizeConfig(config, router) {
+  const c = config;
+  const isSet = (v) => (v ? "(set)" : "(not set)");
+  const actionsEnabled =
+    c.FRONT_AUTH_SECRETS.length > 0 && c.EVOLUTION_API_KEY && c.EVOLUTION_REST_URL;
+  return {
+    CONFIG_FILE: c.CONFIG_FILE || "(not set)",
+    BACKEND_URL: c.BACKEND_URL ? redactUrl(c.BACKEND_URL) : "(not set)",
+    ROUTES_FILE: c.ROUTES_FILE ? `${c.ROUTES_FILE} (${router.rules.length} rule(s))` : "(not set)",
+    DESTINATIONS:
+      Object.values(router.destinations)
+        .map((d) => `${d.name} → ${redactUrl(d.url)}`)
+        .join(", ") || "(none)",
+    HTTPS_PROXY: c.HTTPS_PROXY ? redactUrl(c.HTTPS_PROXY) : "(not set)",
+    WEBHOOK_SECRET: isSet(c.BACKEND_WEBHOOK_SECRET || c.EVOLUTION_WEBHOOK_SECRET),
+    API_KEY: isSet(c.BACKEND_API_KEY || c.EVOLUTION_API_KEY),
+    SIGNING_KEYS: c.WEBHOOK_SIGNING_KEYS.map((k) => k.id).join(", ") || "(not set)",
+    FORWARD_RETRIES: c.FORWARD_RETRIES,
+    FORWARD_TIMEOUT_MS: c.FORWARD_TIMEOUT_MS,
+    CIRCUIT: c.CIRCUIT_FAILURE_THRESHOLD
+      ? `${c.CIRCUIT_FAILURE_THRESHOLD} failures / ${c.CIRCUIT_RESET_MS} ms`
+      : "(disabled)",
+    OUTBOX_DIR: c.OUTBOX_ENABLED ? c.OUTBOX_DIR : "(disabled)",
+    DEAD_LETTER_DIR: c.DEAD_LETTER_ENABLED ? c.DEAD_LETTER_DIR : "(disabled)",
+    MEDIA_STORE: c.MEDIA_STORE
+      ? `${c.MEDIA_STORE} → ${redactUrl(`${c.MEDIA_PUBLIC_URL.replace(/\/+$/, "")}/media`)}`
+      : "(inline base64)",
+    INGEST: c.INGEST_ENABLED
+      ? `/ingest/evolution (${
+          [c.INGEST_SECRETS.length && "secret", c.INGEST_ALLOW_IPS && "IP allowlist"]
+            .filter(Boolean)
+            .join(" + ") || "open"
+        })`
+      : "(disabled)",
+    DEDUP: c.DEDUP_TTL_MS
+      ? `${c.DEDUP_TTL_MS} ms (hashed: ${c.DEDUP_HASH_WINDOW_MS} ms), max ${c.DEDUP_MAX_ENTRIES}`
+      : "(disabled)",
+    QUEUE: `concurrency ${c.QUEUE_CONCURRENCY}, max ${c.QUEUE_MAX_LENGTH}, ${c.QUEUE_OVERFLOW}, ${
+      c.QUEUE_MAX_ATTEMPTS ? `${c.QUEUE_MAX_ATTEMPTS} attempts` : "retry forever"
+    }`,
+    EVOLUTION_API_URL: c.EVOLUTION_API_URL ? redactUrl(c.EVOLUTION_API_URL) : "(not set)",
+    WEBSOCKET_ENABLED: c.WEBSOCKET_ENABLED,
+    GLOBAL_EVENTS: c.WEBSOCKET_GLOBAL_EVENTS,
+    "INSTANCE_NAME(S)": c.WEBSOCKET_GLOBAL_EVENTS
+      ? "(all)"
+      : [c.INSTANCE_NAME, ...c.INSTANCE_NAMES].filter(Boolean).join(", ") || "(from file)",
+    INSTANCES_FILE: c.INSTANCES_FILE || "(not set)",
+    FRONT_WS_PORT: c.FRONT_WS_PORT,
+    FRONT_WS_PATH: c.FRONT_WS_PATH,
+    TRUST_PROXY: c.TRUST_PROXY,
+    FRONT_AUTH: c.FRONT_AUTH_SECRETS.length
+      ? `required (${c.FRONT_AUTH_SECRETS.length} secret(s))`
+      : "(disabled)",
+    ADMIN: c.ADMIN_KEYS.length
+      ? `/admin + /dashboard (keys: ${c.ADMIN_KEYS.map((k) => k.id).join(", ")}; audit → ${c.ADMIN_AUDIT_FILE})`
+      : "(disabled)",
+    FRONT_ACTIONS: actionsEnabled
+      ? `${ACTION_NAMES.join(", ")} → ${redactUrl(c.EVOLUTION_REST_URL)}`
+      : "(disabled)",
+    READY_CHECKS: `${c.READY_CHECKS.join(", ")} (outbox < ${c.READY_OUTBOX_MAX}, lag < ${c.READY_MAX_LAG_MS} ms)`,
+    DIAGNOSTICS: `${c.DIAG_INTERVAL_MS ? `every ${c.DIAG_INTERVAL_MS / 1000}s` : "at boot"}${
+      c.DIAG_FAILURE_THRESHOLD ? ` + after ${c.DIAG_FAILURE_THRESHOLD} failures` : ""
+    } (cert warning < ${c.DIAG_CERT_WARN_DAYS} d)`,
+    CLUSTER: c.CLUSTER_WORKERS > 1 ? `${c.CLUSTER_WORKERS} workers` : "(off)",
+    LOG: `${c.LOG_LEVEL} / ${c.LOG_FORMAT}`,
+  };
+}
+
+module.exports = {
+  ConfigError,
+  SCHEMA,
+  loadConfig,
+  planReload,
+  parseFlatYaml,
+  configSecrets,
+  summarizeConfig,
+};
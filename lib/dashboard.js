@@ -0,0 +1,176 @@
+/* ─────────────────────────────────────────────────────────────
+   DASHBOARD — Live operations view over an admin Socket.IO namespace
+   ─────────────────────────────────────────────────────────────
+   • Browsers join the namespace with an admin key and receive a
+     `dashboard:snapshot` every tick while at least one watches
+   • Counters come from the Prometheus registry (summed across
+     cluster workers by the caller); rates are derived here from
+     a short sliding window of samples
+   • Every worker only serves the dashboards connected to it
+   ───────────────────────────────────────────────────────────── */
+
+const { matchKey } = require("./admin");
+
+const PREFIX = "wessaal_";
+
+/** Sum of a counter's values, optionally only those whose labels match */
+function sumCounter(json, name, where = {}) {
+  const metric = json.find((m) => m.name === `${PREFIX}${name}`);
+  if (!metric) return 0;
+  return metric.values
+    .filter((v) => Object.entries(where).every(([k, want]) => v.labels[k] === want))
+    .reduce((n, v) => n + v.value, 0);
+}
+
+/**
+ * Pipeline totals out of `registry.getMetricsAsJSON()`.
+ * @returns {{ totals, destinations: { [name]: { ok, failed, retries } }, instances: { [name]: events } }}
+ */
+function summarizeMetrics(json) {
+  const totals = {
+    events: sumCounter(json, "events_received_total"),
+    duplicates: sumCounter(json, "events_duplicate_total"),
+    forwardsOk: sumCounter(json, "forwards_total", { result: "success" }),
+    forwardsFailed: sumCounter(json, "forwards_total", { result: "failure" }),
+    shortCircuited: sumCounter(json, "forwards_total", { result: "short_circuit" }),
+    retries: sumCounter(json, "forward_retries_total"),
+    queueDrops: sumCounter(json, "forward_queue_dropped_total"),
+    emitDrops: sumCounter(json, "emit_drops_total"),
+    deadLetters: sumCounter(json, "dead_letters_total"),
+  };
+
+  const destinations = {};
+  const names = new Set();
+  for (const name of ["forwards_total", "forward_retries_total"]) {
+    const metric = json.find((m) => m.name === `${PREFIX}${name}`);
+    for (const v of metric?.values || []) names.add(v.labels.destination);
+  }
+  for (const destination of names) {
+    destinations[destination] = {
+      ok: sumCounter(json, "forwards_total", { destination, result: "success" }),
+      failed: sumCounter(json, "forwards_total", { destination, result: "failure" }),
+      retries: sumCounter(json, "forward_retries_total", { destination }),
+    };
+  }
+  const instances = {};
+  const received = json.find((m) => m.name === `${PREFIX}events_received_total`);
+  for (const v of received?.values || []) {
+    instances[v.labels.instance] = (instances[v.labels.instance] || 0) + v.value;
+  }
+  return { totals, destinations, instances };
+}
+
+/**
+ * Per-second rates of monotonically growing totals over a sliding window.
+ * A total that shrinks (a worker restarted) counts as no progress.
+ */
+function createRateTracker({ windowMs = 10000, now = Date.now } = {}) {
+  const samples = []; // { at, totals }, oldest first
+
+  /** Add a sample; returns `{ [key]: perSecond }` over the window */
+  function sample(totals) {
+    const at = now();
+    samples.push({ at, totals });
+    while (samples.length > 2 && at - samples[0].at > windowMs) samples.shift();
+    const first = samples[0];
+    const seconds = (at - first.at) / 1000;
+    const rates = {};
+    for (const [key, value] of Object.entries(totals)) {
+      const delta = value - (first.totals[key] ?? 0);
+      rates[key] = seconds > 0 && delta > 0 ? delta / seconds : 0;
+    }
+    return rates;
+  }
+
+  return { sample };
+}
+
+/**
+ * @param {object} opts
+ * @param {import("socket.io").Server} opts.io
+ * @param {{ id, secret }[] | Function} opts.keys  admin keys — the same as the REST API's
+ * @param {Function} opts.snapshot       async () => { metrics, evolution, rooms, diagnostics, ... }
+ * @param {string} [opts.namespace]
+ * @param {number} [opts.intervalMs]
+ */
+function attachDashboard({
+  io,
+  keys,
+  snapshot,
+  namespace = "/admin",
+  intervalMs = 1000,
+  windowMs = 10000,
+  track = () => {},
+}) {
+  const nsp = io.of(namespace);
+  const rates = createRateTracker({ windowMs });
+  let timer = null;
+  let busy = false;
+
+  nsp.use((sock, next) => {
+    const key = matchKey(sock.handshake.auth?.key, typeof keys === "function" ? keys() : keys);
+    if (!key) {
+      track("DASHBOARD", "WARN", `Rejected ${sock.id} from ${sock.handshake.address}`);
+      const err = new Error("unauthorized");
+      err.data = { reason: "bad_admin_key" };
+      return next(err);
+    }
+    sock.data.adminKeyId = key.id;
+    next();
+  });
+
+  async function tick() {
+    if (nsp.sockets.size === 0) return stop();
+    if (busy) return; // a slow cluster collect must not pile up
+    busy = true;
+    try {
+      const { metrics, ...state } = await snapshot();
+      const { totals, destinations, instances } = summarizeMetrics(metrics);
+      const perSecond = rates.sample({
+        ...totals,
+        ...Object.fromEntries(Object.entries(instances).map(([k, n]) => [`instance:${k}`, n])),
+      });
+      // `local` — dashboards on other workers get their own worker's tick
+      nsp.local.emit("dashboard:snapshot", {
+        at: new Date().toISOString(),
+        ...state,
+        totals,
+        rates: {
+          eventsPerSec: perSecond.events,
+          forwardsOkPerSec: perSecond.forwardsOk,
+          forwardsFailedPerSec: perSecond.forwardsFailed,
+          retriesPerSec: perSecond.retries,
+        },
+        destinations,
+        instances: Object.fromEntries(
+          Object.entries(instances).map(([k, events]) => [
+            k,
+            { events, eventsPerSec: perSecond[`instance:${k}`] },
+          ]),
+        ),
+      });
+    } catch (err) {
+      track("DASHBOARD", "WARN", `Snapshot failed: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  nsp.on("connection", (sock) => {
+    track("DASHBOARD", "CONNECT", `${sock.id} watching (key: ${sock.data.adminKeyId})`);
+    if (!timer) timer = setInterval(tick, intervalMs);
+    tick();
+    sock.on("disconnect", () => {
+      track("DASHBOARD", "INFO", `${sock.id} left`);
+    });
+  });
+
+  return { namespace: nsp, stop };
+}
+
+module.exports = { summarizeMetrics, createRateTracker, attachDashboard };
@@ -0,0 +1,159 @@
+/* ─────────────────────────────────────────────────────────────
+   DEAD LETTER — Forwards given up on, kept for inspection / replay
+   ─────────────────────────────────────────────────────────────
+   • Envelopes rejected by a backend (4xx), out of attempts, evicted
+     by queue overflow or left on a removed destination land here
+     instead of vanishing
+   • One JSON file per entry, named by a time-sortable id, so the
+     list is ordered and entries are read or removed one by one
+   • Each entry keeps the envelope, destination, failure reason,
+     last status / code, attempts and timestamps; replays are
+     recorded on the entry until one succeeds
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const REASONS = ["rejected", "retries_exhausted", "overflow", "destination_removed"];
+const ID_PATTERN = /^[0-9a-z]{9}-[0-9a-f]{8}$/;
+
+const iso = (t) => (t ? new Date(t).toISOString() : null);
+
+/** Does an entry pass a `{ destination, instance, reason }` filter? */
+function matchesFilter(entry, { destination, instance, reason } = {}) {
+  if (destination && entry.destination !== destination) return false;
+  if (instance && entry.envelope?.instance !== instance) return false;
+  if (reason && entry.reason !== reason) return false;
+  return true;
+}
+
+/** Entry without its envelope — what listings show */
+function summarize(entry) {
+  const { envelope, ...rest } = entry;
+  return { ...rest, instance: envelope?.instance ?? null, event: envelope?.event ?? null };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir  one `<id>.json` per entry
+ */
+function createDeadLetterStore({ dir, track = () => {} }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+
+  // Strictly increasing time part, so entries of one millisecond keep their order
+  let lastAt = 0;
+  function newId() {
+    lastAt = Math.max(Date.now(), lastAt + 1);
+    return `${lastAt.toString(36).padStart(9, "0")}-${crypto.randomBytes(4).toString("hex")}`;
+  }
+
+  function write(entry) {
+    const tmp = `${fileOf(entry.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry));
+    fs.renameSync(tmp, fileOf(entry.id));
+  }
+
+  function ids() {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => f.slice(0, -5))
+      .filter((id) => ID_PATTERN.test(id))
+      .sort();
+  }
+
+  /* ───────── Public API ───────── */
+
+  /**
+   * Store one failed envelope.
+   * @param {object} failure  { destination, url, reason, status, code, attempts,
+   *                            enqueuedAt, firstAttemptAt, lastAttemptAt, envelope }
+   */
+  function add(failure) {
+    const { destination, reason, envelope } = failure;
+    if (!REASONS.includes(reason)) throw new Error(`Unknown dead-letter reason "${reason}"`);
+    const entry = {
+      id: newId(),
+      destination,
+      url: failure.url,
+      reason,
+      status: failure.status ?? null,
+      code: failure.code ?? null,
+      attempts: failure.attempts ?? 0,
+      enqueuedAt: iso(failure.enqueuedAt),
+      firstAttemptAt: iso(failure.firstAttemptAt),
+      lastAttemptAt: iso(failure.lastAttemptAt),
+      deadAt: new Date().toISOString(),
+      replays: [],
+      envelope,
+    };
+    try {
+      write(entry);
+    } catch (err) {
+      track("DEADLETTER", "ERROR", `Could not store ${envelope?.event} for ${destination}: ${err.message}`);
+      return null;
+    }
+    return entry;
+  }
+
+  /** Full entry, or null (unknown or malformed id) */
+  function get(id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(fileOf(id), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  /** Entries oldest first, without envelopes */
+  function list(filter = {}, limit = 0) {
+    const out = [];
+    for (const id of ids()) {
+      const entry = get(id);
+      if (!entry || !matchesFilter(entry, filter)) continue;
+      out.push(summarize(entry));
+      if (limit > 0 && out.length >= limit) break;
+    }
+    return out;
+  }
+
+  /** Append a replay outcome to the entry; a successful replay removes it */
+  function recordReplay(id, outcome) {
+    const entry = get(id);
+    if (!entry) return null;
+    if (outcome.ok) {
+      remove(id);
+      return { ...entry, replays: [...entry.replays, outcome] };
+    }
+    entry.replays.push(outcome);
+    write(entry);
+    return entry;
+  }
+
+  function remove(id) {
+    if (!ID_PATTERN.test(String(id))) return false;
+    try {
+      fs.unlinkSync(fileOf(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** Remove every entry passing the filter; returns how many */
+  function purge(filter = {}) {
+    let n = 0;
+    for (const id of ids()) {
+      const entry = get(id);
+      if (entry && matchesFilter(entry, filter) && remove(id)) n++;
+    }
+    return n;
+  }
+
+  return { add, get, list, recordReplay, remove, purge, size: () => ids().length, dir };
+}
+
+module.exports = { REASONS, createDeadLetterStore, matchesFilter };
@@ -0,0 +1,115 @@
+/* ─────────────────────────────────────────────────────────────
+   DEDUP — Recognize the same Evolution event seen twice
+   ─────────────────────────────────────────────────────────────
+   • Fingerprint: message key id + instance + event for new
+     messages, else a hash of the payload
+   • TTL-bounded, size-capped memory of recent fingerprints and
+     the source (socket / webhook) they first arrived from
+   • Hashed fingerprints only catch the other source's copy within
+     a few seconds: the same `connection.update` or presence from
+     one socket minutes later is a new event, not a repeat
+   • The idempotency key sent to backends derives from the
+     occurrence, so every retry, replay and cross-source copy
+     carries the same one
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const { messagesFromPayload } = require("./messages");
+
+// Events identified by their message key. Updates, deletes and receipts of
+// one message share its key id but are distinct events, so they are hashed.
+const KEYED_BY_MESSAGE = new Set(["messages.upsert", "send.message"]);
+
+/** JSON with sorted object keys, so equal payloads hash equally */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Stable id of one event. Delivery metadata (`date_time`, `server_url`,
+ * `apikey`) differs between socket and webhook copies, so only `data` counts.
+ */
+function fingerprintEvent(event, instance, payload) {
+  // A batch is keyed by all its message ids, so one repeated message doesn't drop the rest
+  const ids = KEYED_BY_MESSAGE.has(event) ? messagesFromPayload(payload).map((m) => m?.key?.id) : [];
+  if (ids.length > 0 && ids.every(Boolean)) return `${instance}:${event}:${ids.join(",")}`;
+  const data = payload && typeof payload === "object" && "data" in payload ? payload.data : payload;
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${event}|${instance}|${stableStringify(data)}`)
+    .digest("hex")
+    .slice(0, 32);
+  return `${instance}:${event}:#${hash}`;
+}
+
+const isHashed = (fingerprint) => fingerprint.includes(":#");
+
+/**
+ * Id of one occurrence of an event: the fingerprint itself for message keys,
+ * plus the arrival time for hashed ones, which legitimately repeat
+ */
+function occurrenceOf(fingerprint, at) {
+  return isHashed(fingerprint) ? `${fingerprint}@${at}` : fingerprint;
+}
+
+/** `Idempotency-Key` header value: 32 hex chars, same fingerprint → same key */
+function idempotencyKey(fingerprint) {
+  return crypto.createHash("sha256").update(fingerprint).digest("hex").slice(0, 32);
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.ttlMs]         how long a message-keyed fingerprint is remembered
+ * @param {number} [opts.hashWindowMs]  how long a hashed one matches the other source's copy
+ * @param {number} [opts.maxEntries]    oldest fingerprints are forgotten first
+ */
+function createDedupCache({
+  ttlMs = 10 * 60 * 1000,
+  hashWindowMs = 5000,
+  maxEntries = 50000,
+  now = Date.now,
+} = {}) {
+  const seen = new Map(); // fingerprint → { source, at, occurrence }, insertion-ordered
+
+  function prune(t) {
+    for (const [key, entry] of seen) {
+      const ttl = isHashed(key) ? hashWindowMs : ttlMs;
+      if (t - entry.at < ttl && seen.size < maxEntries) break;
+      seen.delete(key);
+    }
+  }
+
+  /**
+   * Record a fingerprint. Returns the source it was first seen from while
+   * it still counts as a copy, or null when it is new. A hashed fingerprint
+   * only counts as a copy when it comes from another source.
+   */
+  function remember(key, source) {
+    const t = now();
+    prune(t);
+    const entry = seen.get(key);
+    if (entry && (!isHashed(key) || (entry.source !== source && t - entry.at < hashWindowMs))) {
+      return entry.source;
+    }
+    seen.delete(key); // re-inserted at the end: the insertion order stays by time
+    seen.set(key, { source, at: t, occurrence: occurrenceOf(key, t) });
+    return null;
+  }
+
+  /** Occurrence id of the last remembered arrival of `key` */
+  function occurrence(key) {
+    return seen.get(key)?.occurrence ?? occurrenceOf(key, now());
+  }
+
+  return { remember, occurrence, size: () => seen.size };
+}
+
+module.exports = { fingerprintEvent, occurrenceOf, idempotencyKey, createDedupCache, stableStringify };
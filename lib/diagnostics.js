@@ -0,0 +1,441 @@
+/* ─────────────────────────────────────────────────────────────
+   DIAGNOSTICS — Network probes against Evolution and every backend
+   ─────────────────────────────────────────────────────────────
+   • Steps per target: dns (A and AAAA, then the system resolver
+     for `localhost` / hosts-file names; IP literals skip it),
+     tcp, tls with a certificate-expiry window, proxy (CONNECT
+     tunnel through HTTPS_PROXY, TLS inside it) and, for
+     Evolution, a one-shot socket.io handshake per instance
+   • Targets come from the settings the way the service builds
+     them, so `diag.js` probes exactly what production connects to
+   • Each step is `ok`, `warn`, `fail` or `skip` (a step it
+     depends on failed), with a detail and its duration
+   • Reruns on a schedule and after repeated failures reported
+     by the pipeline; the last runs per target are kept, so
+     resets that come and go still leave a trace
+   ───────────────────────────────────────────────────────────── */
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const tls = require("tls");
+const { io: ioClient } = require("socket.io-client");
+const { redactUrl } = require("./logger");
+const { buildConnectUrl, buildSocketOptions } = require("./evolution");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SECURE = ["https:", "wss:"];
+
+const ok = (detail, extra) => ({ status: "ok", detail, ...extra });
+const warn = (detail, extra) => ({ status: "warn", detail, ...extra });
+const fail = (detail, extra) => ({ status: "fail", detail, ...extra });
+const skip = (detail) => ({ status: "skip", detail });
+
+async function timed(probe) {
+  const started = Date.now();
+  const result = await probe();
+  return { ...result, ms: Date.now() - started };
+}
+
+/** Host, port and TLS-ness of an http(s) / ws(s) URL */
+function endpointOf(url) {
+  const u = new URL(url);
+  const secure = SECURE.includes(u.protocol);
+  return {
+    host: u.hostname.replace(/^\[(.*)\]$/, "$1"), // IPv6 literals come bracketed
+    port: Number(u.port) || (secure ? 443 : 80),
+    secure,
+  };
+}
+
+const errorDetail = (err) => err.code || err.message;
+
+/* ───────── Probes ───────── */
+
+/** A and AAAA records; names only the system resolver knows (localhost, /etc/hosts) still pass */
+async function probeDns(host) {
+  if (net.isIP(host)) return skip("IP address");
+  const [a, aaaa] = await Promise.allSettled([
+    dns.promises.resolve4(host),
+    dns.promises.resolve6(host),
+  ]);
+  const v4 = a.status === "fulfilled" ? a.value : [];
+  const v6 = aaaa.status === "fulfilled" ? aaaa.value : [];
+  if (v4.length || v6.length) {
+    const parts = [v4.length && `A ${v4.join(", ")}`, v6.length && `AAAA ${v6.join(", ")}`];
+    return ok(parts.filter(Boolean).join("; "), { addresses: [...v4, ...v6] });
+  }
+  try {
+    const found = await dns.promises.lookup(host, { all: true });
+    return ok(`system resolver: ${found.map((f) => f.address).join(", ")}`, {
+      addresses: found.map((f) => f.address),
+    });
+  } catch (err) {
+    return fail(a.reason?.code || errorDetail(err));
+  }
+}
+
+/** Plain TCP connect */
+function probeTcp(host, port, timeoutMs) {
+  return new Promise((resolve) => {
+    const sock = net.connect({ host, port });
+    const done = (result) => {
+      sock.destroy();
+      resolve(result);
+    };
+    sock.setTimeout(timeoutMs, () => done(fail(`timeout (${timeoutMs} ms)`)));
+    sock.once("connect", () => done(ok(`connected from ${sock.localAddress} to ${sock.remoteAddress}`)));
+    sock.once("error", (err) => done(fail(errorDetail(err))));
+  });
+}
+
+/** What a finished handshake tells, and whether the certificate expires soon */
+function describeTls(sock, certWarnDays, now) {
+  const cert = sock.getPeerCertificate?.() || {};
+  const daysLeft = cert.valid_to ? Math.floor((Date.parse(cert.valid_to) - now) / DAY_MS) : null;
+  const extra = {
+    protocol: sock.getProtocol?.() || null,
+    cipher: sock.getCipher?.()?.name || null,
+    subject: cert.subject?.CN || null,
+    issuer: cert.issuer?.O || cert.issuer?.CN || null,
+    validTo: cert.valid_to ? new Date(cert.valid_to).toISOString() : null,
+    daysLeft,
+  };
+  const detail = `${extra.protocol}, CN=${extra.subject ?? "n/a"}, expires in ${daysLeft ?? "?"} d`;
+  return daysLeft !== null && daysLeft < certWarnDays
+    ? warn(`${detail} (under ${certWarnDays} d)`, extra)
+    : ok(detail, extra);
+}
+
+/** TLS handshake with verification, as forwards and the Evolution socket do it */
+function probeTls(host, port, { timeoutMs, certWarnDays, socket, now = Date.now }) {
+  return new Promise((resolve) => {
+    const opts = { host, port, socket, rejectUnauthorized: true };
+    if (!net.isIP(host)) opts.servername = host;
+    const sock = tls.connect(opts);
+    const done = (result) => {
+      sock.destroy();
+      resolve(result);
+    };
+    sock.setTimeout(timeoutMs, () => done(fail(`timeout (${timeoutMs} ms)`)));
+    sock.once("secureConnect", () => done(describeTls(sock, certWarnDays, now())));
+    sock.once("error", (err) => done(fail(errorDetail(err))));
+  });
+}
+
+/** CONNECT tunnel through the proxy, with a TLS handshake inside for https targets */
+function probeProxy(proxyUrl, host, port, { secure, timeoutMs, certWarnDays, now }) {
+  return new Promise((resolve) => {
+    let proxy;
+    try {
+      proxy = new URL(proxyUrl);
+    } catch {
+      return resolve(fail("invalid proxy URL"));
+    }
+    const headers = { host: `${host}:${port}` };
+    if (proxy.username) {
+      const creds = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["proxy-authorization"] = `Basic ${Buffer.from(creds).toString("base64")}`;
+    }
+    const secureProxy = proxy.protocol === "https:";
+    const req = (secureProxy ? https : http).request({
+      host: proxy.hostname,
+      port: Number(proxy.port) || (secureProxy ? 443 : 80),
+      method: "CONNECT",
+      path: `${net.isIP(host) === 6 ? `[${host}]` : host}:${port}`,
+      headers,
+      timeout: timeoutMs,
+    });
+    req.once("timeout", () => {
+      req.destroy();
+      resolve(fail(`timeout (${timeoutMs} ms)`));
+    });
+    req.once("error", (err) => resolve(fail(errorDetail(err))));
+    req.once("connect", async (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return resolve(fail(`proxy answered HTTP ${res.statusCode}`));
+      }
+      if (!secure) {
+        socket.destroy();
+        return resolve(ok("tunnel open"));
+      }
+      const inner = await probeTls(host, port, { timeoutMs, certWarnDays, socket, now });
+      socket.destroy();
+      resolve({ ...inner, detail: `tunnel open, TLS ${inner.status === "fail" ? "failed: " : ""}${inner.detail}` });
+    });
+    req.end();
+  });
+}
+
+/** One socket.io handshake with the service's own client options, no reconnects */
+function probeSocketIo(url, { socketOptions = {}, timeoutMs, connect = ioClient }) {
+  return new Promise((resolve) => {
+    const socket = connect(url, {
+      ...socketOptions,
+      reconnection: false,
+      forceNew: true,
+      timeout: timeoutMs,
+    });
+    const done = (result) => {
+      clearTimeout(timer);
+      socket.close();
+      resolve(result);
+    };
+    const timer = setTimeout(() => done(fail(`timeout (${timeoutMs} ms)`)), timeoutMs + 1000);
+    socket.once("connect", () =>
+      done(ok(`handshake ok (${socket.io.engine?.transport?.name || "?"}), id ${socket.id}`)),
+    );
+    socket.once("connect_error", (err) => {
+      const why = err.description?.message || err.description || err.message;
+      done(fail(`${err.code || err.type || "connect_error"}: ${why}`));
+    });
+  });
+}
+
+/* ───────── One target ───────── */
+
+/**
+ * The service's targets for its settings: Evolution, with a socket.io
+ * handshake per instance when WEBSOCKET_ENABLED, and one per backend.
+ * @param {object} settings                  loadConfig() result
+ * @param {object} [opts]
+ * @param {object[]} [opts.destinations]     destination configs `{ name, url }`
+ * @param {(string|null)[]} [opts.instances] handshakes to try (null = global mode)
+ */
+function targetsFor(settings, { destinations = [], instances = [null] } = {}) {
+  const targets = [];
+  if (settings.EVOLUTION_API_URL) {
+    const target = { kind: "evolution", name: "evolution", url: settings.EVOLUTION_API_URL };
+    if (settings.WEBSOCKET_ENABLED) {
+      target.sockets = instances.map((instance) => ({
+        instance,
+        url: buildConnectUrl(settings.EVOLUTION_API_URL, instance),
+      }));
+      target.socketOptions = buildSocketOptions({ allowPolling: settings.ALLOW_POLLING });
+    }
+    targets.push(target);
+  }
+  for (const { name, url } of destinations) targets.push({ kind: "backend", name, url });
+  return targets;
+}
+
+/**
+ * Probe one target.
+ * @param {{ kind, name, url, sockets?, socketOptions? }} target
+ *        sockets `[{ instance, url }]` adds a socket.io handshake each (Evolution)
+ * @param {object} [opts]
+ * @param {string[]} [opts.steps]  run only these steps (default: all)
+ * @returns {{ kind, name, url, at, ok, warn, durationMs, steps: [{ name, status, detail, ms }] }}
+ */
+async function runTarget(target, opts = {}) {
+  const { proxyUrl, timeoutMs = 8000, certWarnDays = 14, connect, now = Date.now } = opts;
+  const wanted = (step) => !opts.steps || opts.steps.includes(step);
+  const started = now();
+  const result = {
+    kind: target.kind,
+    name: target.name,
+    url: redactUrl(target.url),
+    at: new Date(started).toISOString(),
+    ok: true,
+    warn: false,
+    durationMs: 0,
+    steps: [],
+  };
+  const add = (name, step) => {
+    result.steps.push({ name, ...step });
+    if (step.status === "fail") result.ok = false;
+    if (step.status === "warn") result.warn = true;
+  };
+
+  let endpoint;
+  try {
+    endpoint = endpointOf(target.url);
+  } catch {
+    add("url", fail("invalid URL"));
+    return result;
+  }
+  const { host, port, secure } = endpoint;
+
+  const resolved = wanted("dns") ? await timed(() => probeDns(host)) : null;
+  if (resolved) add("dns", resolved);
+  if (resolved?.status === "fail") {
+    if (wanted("tcp")) add("tcp", skip("no address"));
+    if (secure && wanted("tls")) add("tls", skip("no address"));
+  } else {
+    const tcp = wanted("tcp") ? await timed(() => probeTcp(host, port, timeoutMs)) : null;
+    if (tcp) add("tcp", tcp);
+    if (secure && wanted("tls")) {
+      add(
+        "tls",
+        tcp?.status === "fail"
+          ? skip("no TCP connection")
+          : await timed(() => probeTls(host, port, { timeoutMs, certWarnDays, now })),
+      );
+    }
+  }
+  // The proxy resolves the name itself, so it is tried even when local DNS fails
+  if (proxyUrl && wanted("proxy")) {
+    add("proxy", await timed(() => probeProxy(proxyUrl, host, port, { secure, timeoutMs, certWarnDays, now })));
+  }
+  if (wanted("socketio")) {
+    for (const { instance, url } of target.sockets || []) {
+      const step = await timed(() =>
+        probeSocketIo(url, { socketOptions: target.socketOptions, timeoutMs, connect }),
+      );
+      add("socketio", instance ? { ...step, detail: `${instance}: ${step.detail}` } : step);
+    }
+  }
+  result.durationMs = now() - started;
+  return result;
+}
+
+/** `dns ✓ · tcp ✓ · tls ✗ ECONNRESET` */
+function summarizeSteps(steps) {
+  const mark = { ok: "✓", warn: "!", fail: "✗", skip: "–" };
+  return steps
+    .map((s) => `${s.name} ${mark[s.status]}${s.status === "ok" ? "" : ` ${s.detail}`}`)
+    .join(" · ");
+}
+
+/* ───────── Scheduler ───────── */
+
+/**
+ * @param {object} opts
+ * @param {() => object[]} opts.targets   current targets (destinations change on reload)
+ * @param {number} [opts.intervalMs]      0 = only at start and after failures
+ * @param {number} [opts.failureThreshold] consecutive failures that trigger a run (0 = never)
+ * @param {number} [opts.cooldownMs]      least time between two failure-triggered runs
+ */
+function createDiagnostics({
+  targets,
+  proxyUrl = null,
+  intervalMs = 15 * 60 * 1000,
+  timeoutMs = 8000,
+  certWarnDays = 14,
+  failureThreshold = 3,
+  cooldownMs = 5 * 60 * 1000,
+  historySize = 20,
+  connect,
+  track = () => {},
+  now = Date.now,
+}) {
+  const entries = new Map(); // `${kind}:${name}` → { last, history, failures, lastRunAt, running }
+  let timer = null;
+
+  const keyOf = (kind, name) => `${kind}:${name}`;
+  const entryOf = (key) => {
+    if (!entries.has(key)) entries.set(key, { last: null, history: [], failures: 0, lastRunAt: 0, running: null });
+    return entries.get(key);
+  };
+
+  function log(result, reason) {
+    const label = `[${result.kind} ${result.name}]`;
+    const steps = summarizeSteps(result.steps);
+    const fields = { target: result.name, kind: result.kind, reason, ok: result.ok };
+    if (result.ok) {
+      track("DIAG", result.warn ? "WARN" : "SUCCESS", `${label} ${steps} (${reason}, ${result.durationMs} ms)`, fields);
+      return;
+    }
+    track("DIAG", "ERROR", `${label} ${steps} (${reason})`, fields);
+    const reset = result.steps.some((s) => ["tcp", "tls"].includes(s.name) && s.detail === "ECONNRESET");
+    if (reset && !proxyUrl) {
+      track(
+        "DIAG",
+        "INFO",
+        "⚠️  Connection resets point at an ISP/edge filter. Configure HTTPS_PROXY to bypass.",
+      );
+    }
+  }
+
+  /** Probe one target; a run already in flight for it is shared */
+  function runOne(target, reason) {
+    const entry = entryOf(keyOf(target.kind, target.name));
+    if (entry.running) return entry.running;
+    entry.lastRunAt = now();
+    entry.running = runTarget(target, { proxyUrl, timeoutMs, certWarnDays, connect, now })
+      .then((result) => {
+        result.reason = reason;
+        entry.last = result;
+        entry.history.unshift({
+          at: result.at,
+          reason,
+          ok: result.ok,
+          warn: result.warn,
+          failed: result.steps.filter((s) => s.status === "fail").map((s) => `${s.name}: ${s.detail}`),
+        });
+        entry.history.length = Math.min(entry.history.length, historySize);
+        log(result, reason);
+        return result;
+      })
+      .finally(() => {
+        entry.running = null;
+      });
+    return entry.running;
+  }
+
+  function runAll(reason) {
+    return Promise.all(targets().map((t) => runOne(t, reason)));
+  }
+
+  /** A forward or connection to the target failed; enough in a row trigger a run */
+  function noteFailure(kind, name) {
+    const target = targets().find((t) => t.kind === kind && t.name === name);
+    if (!target || failureThreshold === 0) return;
+    const entry = entryOf(keyOf(kind, name));
+    entry.failures++;
+    if (entry.failures < failureThreshold || entry.running) return;
+    if (now() - entry.lastRunAt < cooldownMs) return;
+    entry.failures = 0;
+    runOne(target, `${failureThreshold} failures in a row`).catch(() => {});
+  }
+
+  function noteSuccess(kind, name) {
+    const entry = entries.get(keyOf(kind, name));
+    if (entry) entry.failures = 0;
+  }
+
+  /** Latest result and recent history of every current target */
+  function results() {
+    return targets().map((t) => {
+      const entry = entries.get(keyOf(t.kind, t.name));
+      return {
+        kind: t.kind,
+        name: t.name,
+        url: redactUrl(t.url),
+        last: entry?.last ?? null,
+        history: entry?.history ?? [],
+      };
+    });
+  }
+
+  function start() {
+    if (timer) return;
+    runAll("start").catch(() => {});
+    if (intervalMs > 0) {
+      timer = setInterval(() => runAll("schedule").catch(() => {}), intervalMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runAll, runOne, noteFailure, noteSuccess, results };
+}
+
+module.exports = {
+  createDiagnostics,
+  targetsFor,
+  runTarget,
+  summarizeSteps,
+  endpointOf,
+  probeDns,
+  probeTcp,
+  probeTls,
+  probeProxy,
+  probeSocketIo,
+};
@@ -0,0 +1,98 @@
+/* ─────────────────────────────────────────────────────────────
+   EVENTS — Canonical Evolution event names
+   ─────────────────────────────────────────────────────────────
+   • Evolution v2 configures / emits `MESSAGES_UPSERT`, older
+     builds and the socket use `messages.upsert` — both map to
+     one canonical (dotted) name
+   • Unknown UPPER_SNAKE names fall back to lower-case with dots
+   • Filter patterns (`MESSAGES_*`, `messages.*`) are normalized
+     the same way so either spelling works everywhere
+   ───────────────────────────────────────────────────────────── */
+
+// UPPER_SNAKE (Evolution config) → canonical dotted name
+const REGISTRY = {
+  APPLICATION_STARTUP: "application.startup",
+  INSTANCE_CREATE: "instance.create",
+  INSTANCE_DELETE: "instance.delete",
+  REMOVE_INSTANCE: "remove.instance",
+  LOGOUT_INSTANCE: "logout.instance",
+  STATUS_INSTANCE: "status.instance",
+  QRCODE_UPDATED: "qrcode.updated",
+  CONNECTION_UPDATE: "connection.update",
+  CREDS_UPDATE: "creds.update",
+  MESSAGING_HISTORY_SET: "messaging-history.set",
+  MESSAGES_SET: "messages.set",
+  MESSAGES_UPSERT: "messages.upsert",
+  MESSAGES_EDITED: "messages.edited",
+  MESSAGES_UPDATE: "messages.update",
+  MESSAGES_DELETE: "messages.delete",
+  SEND_MESSAGE: "send.message",
+  SEND_MESSAGE_UPDATE: "send.message.update",
+  CONTACTS_SET: "contacts.set",
+  CONTACTS_UPSERT: "contacts.upsert",
+  CONTACTS_UPDATE: "contacts.update",
+  PRESENCE_UPDATE: "presence.update",
+  CHATS_SET: "chats.set",
+  CHATS_UPSERT: "chats.upsert",
+  CHATS_UPDATE: "chats.update",
+  CHATS_DELETE: "chats.delete",
+  GROUPS_UPSERT: "groups.upsert",
+  GROUPS_UPDATE: "groups.update",
+  GROUP_PARTICIPANTS_UPDATE: "group-participants.update",
+  LABELS_EDIT: "labels.edit",
+  LABELS_ASSOCIATION: "labels.association",
+  CALL: "call",
+  TYPEBOT_START: "typebot.start",
+  TYPEBOT_CHANGE_STATUS: "typebot.change-status",
+};
+
+// Spelling-insensitive key: `GROUP_PARTICIPANTS_UPDATE` and
+// `group-participants.update` both become `group_participants_update`
+const fold = (name) => name.toLowerCase().replace(/[.\-_]/g, "_");
+
+const LOOKUP = new Map();
+for (const [upper, dotted] of Object.entries(REGISTRY)) {
+  LOOKUP.set(fold(upper), dotted);
+  LOOKUP.set(fold(dotted), dotted);
+}
+
+const UPPER_SNAKE = /^[A-Z0-9_*]+$/;
+
+/** Canonical dotted name for either spelling */
+function canonicalEvent(name) {
+  if (!name || typeof name !== "string") return name;
+  const known = LOOKUP.get(fold(name));
+  if (known) return known;
+  if (UPPER_SNAKE.test(name)) return name.toLowerCase().replace(/_/g, ".");
+  return name;
+}
+
+/** UPPER_SNAKE spelling, as used in Evolution's own config */
+function upperEvent(name) {
+  const canonical = canonicalEvent(name);
+  const entry = Object.entries(REGISTRY).find(([, dotted]) => dotted === canonical);
+  return entry ? entry[0] : canonical.toUpperCase().replace(/[.-]/g, "_");
+}
+
+/** Normalize a filter list so `MESSAGES_*` and `messages.*` behave the same */
+function normalizeEventPatterns(patterns) {
+  return patterns.map((p) => (p.includes("*") ? canonicalPattern(p) : canonicalEvent(p)));
+}
+
+function canonicalPattern(pattern) {
+  if (pattern === "*") return pattern;
+  if (UPPER_SNAKE.test(pattern)) return pattern.toLowerCase().replace(/_/g, ".");
+  return pattern;
+}
+
+function isKnownEvent(name) {
+  return LOOKUP.has(fold(String(name || "")));
+}
+
+module.exports = {
+  REGISTRY,
+  canonicalEvent,
+  upperEvent,
+  normalizeEventPatterns,
+  isKnownEvent,
+};
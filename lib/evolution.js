@@ -0,0 +1,255 @@
+/* ─────────────────────────────────────────────────────────────
+   EVOLUTION — Managed socket.io-client connections
+   ─────────────────────────────────────────────────────────────
+   • Global mode: one connection to the base URL
+   • Traditional mode: one connection per instance, each with its
+     own reconnection, status and event counters
+   • Instances can be added / removed while running
+   • Event names are canonicalized on arrival (`MESSAGES_UPSERT`
+     → `messages.upsert`) before filtering and dispatch
+   ───────────────────────────────────────────────────────────── */
+
+const fs = require("fs");
+const { io: ioClient } = require("socket.io-client");
+const { matchesAny } = require("./patterns");
+const { canonicalEvent, normalizeEventPatterns } = require("./events");
+
+const GLOBAL_KEY = "*";
+
+/** Append the instance name to the Evolution base URL (traditional mode) */
+function buildConnectUrl(baseUrl, instance) {
+  if (!instance) return baseUrl;
+  try {
+    const u = new URL(baseUrl);
+    const base = u.pathname === "/" ? "" : u.pathname.replace(/\/$/, "");
+    u.pathname = `${base}/${instance}`;
+    return u.toString();
+  } catch {
+    return `${baseUrl.replace(/\/$/, "")}/${instance}`;
+  }
+}
+
+/**
+ * Instance names from INSTANCE_NAME, INSTANCE_NAMES and INSTANCES_FILE (a
+ * JSON array, or names split by commas / lines with `#` comments). Throws
+ * when the file cannot be read.
+ */
+function readInstanceNames({ INSTANCE_NAME, INSTANCE_NAMES = [], INSTANCES_FILE }) {
+  const names = new Set(INSTANCE_NAMES);
+  if (INSTANCE_NAME) names.add(INSTANCE_NAME);
+  if (INSTANCES_FILE) {
+    const text = fs.readFileSync(INSTANCES_FILE, "utf8").trim();
+    const list = text.startsWith("[")
+      ? JSON.parse(text)
+      : text.split(/[\n,]/).map((s) => s.replace(/#.*/, "").trim());
+    list.filter(Boolean).forEach((n) => names.add(String(n)));
+  }
+  return [...names];
+}
+
+/** socket.io-client options tuned for unstable networks */
+function buildSocketOptions({ allowPolling = true } = {}) {
+  const socketOpts = {
+    // ── Robust reconnection for unstable networks ──
+    reconnection: true,
+    reconnectionAttempts: Infinity, // never give up
+    reconnectionDelay: 2000, // start at 2 s
+    reconnectionDelayMax: 30000, // cap at 30 s
+    randomizationFactor: 0.3, // jitter ±30 %
+    timeout: 20000, // connection timeout
+    // ── Keep-alive ──
+    pingInterval: 25000,
+    pingTimeout: 20000,
+  };
+
+  if (allowPolling) {
+    socketOpts.transports = ["polling"];
+    socketOpts.upgrade = false;
+  } else {
+    socketOpts.transports = ["websocket"];
+    socketOpts.upgrade = true;
+  }
+  return socketOpts;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl      EVOLUTION_API_URL
+ * @param {string[]} [opts.events]   event patterns to accept, either spelling (empty = all)
+ * @param {Function} opts.onEvent    (event, payload, conn) => void
+ * @param {object} [opts.socketOptions]
+ * @param {Function} [opts.onConnect]       (conn) => void
+ * @param {Function} [opts.onConnectError]  (conn, err) => void — each failed attempt
+ */
+function createEvolutionManager({
+  baseUrl,
+  events = [],
+  onEvent,
+  socketOptions = buildSocketOptions(),
+  connect = ioClient,
+  onConnect = () => {},
+  onConnectError = () => {},
+  track = () => {},
+}) {
+  const conns = new Map(); // key → connection record
+  let accepted = normalizeEventPatterns(events);
+
+  function open(key) {
+    const instance = key === GLOBAL_KEY ? null : key;
+    const url = buildConnectUrl(baseUrl, instance);
+    const tag = instance ? `EVO:${instance}` : "EVO_API";
+
+    const conn = {
+      key,
+      instance,
+      url,
+      state: "connecting",
+      socketId: null,
+      connectedAt: null,
+      lastChangeAt: new Date().toISOString(),
+      lastError: null,
+      reconnectAttempts: 0,
+      eventsReceived: 0,
+      lastEventAt: null,
+      socket: null,
+    };
+    const setState = (state) => {
+      conn.state = state;
+      conn.lastChangeAt = new Date().toISOString();
+    };
+
+    track(tag, "INFO", `Connecting → ${url}`);
+    const socket = connect(url, socketOptions);
+    conn.socket = socket;
+
+    socket.on("connect", () => {
+      setState("connected");
+      conn.socketId = socket.id;
+      conn.connectedAt = conn.lastChangeAt;
+      conn.lastError = null;
+      track(tag, "SUCCESS", `Connected — ID: ${socket.id}`);
+      onConnect(conn);
+    });
+
+    socket.on("disconnect", (reason) => {
+      setState("disconnected");
+      track(tag, "INFO", `Disconnected (${reason})`);
+    });
+
+    socket.on("connect_error", (err) => {
+      if (conn.state !== "connecting") setState("connecting");
+      conn.lastError = `${err.code || "n/a"}: ${err.message}`;
+      track(
+        tag,
+        "ERROR",
+        `Connect error — code=${err.code || "n/a"} msg=${err.message}`,
+      );
+      onConnectError(conn, err);
+    });
+
+    socket.io.on("reconnect_attempt", (attempt) => {
+      conn.reconnectAttempts++;
+      track(tag, "INFO", `Reconnect attempt #${attempt}`);
+    });
+
+    socket.io.on("reconnect", (attempt) => {
+      track(tag, "SUCCESS", `Reconnected after ${attempt} attempt(s)`);
+    });
+
+    socket.io.on("reconnect_failed", () => {
+      track(
+        tag,
+        "ERROR",
+        "Reconnection exhausted (should not happen with Infinity)",
+      );
+    });
+
+    // ── Event subscription ──
+    socket.onAny((wireName, ...args) => {
+      const event = canonicalEvent(wireName);
+      if (accepted.length > 0 && !matchesAny(accepted, event)) return;
+      conn.eventsReceived++;
+      conn.lastEventAt = new Date().toISOString();
+      onEvent(event, args.length === 1 ? args[0] : args, conn);
+    });
+
+    conns.set(key, conn);
+    return conn;
+  }
+
+  function add(instance) {
+    const key = instance || GLOBAL_KEY;
+    if (conns.has(key)) return false;
+    open(key);
+    return true;
+  }
+
+  function remove(instance) {
+    const key = instance || GLOBAL_KEY;
+    const conn = conns.get(key);
+    if (!conn) return false;
+    conn.socket.removeAllListeners();
+    conn.socket.io.removeAllListeners();
+    conn.socket.disconnect();
+    conns.delete(key);
+    track(conn.instance ? `EVO:${conn.instance}` : "EVO_API", "INFO", "Connection removed");
+    return true;
+  }
+
+  /** Reconcile to exactly `instances` — opens new ones, closes dropped ones */
+  function sync(instances) {
+    const wanted = new Set(instances);
+    for (const key of [...conns.keys()]) {
+      if (!wanted.has(key)) remove(key);
+    }
+    for (const name of wanted) add(name);
+  }
+
+  /** Drop and reopen the socket(s) — `instance` omitted = all */
+  function reconnect(instance) {
+    const keys = instance ? [instance] : [...conns.keys()];
+    for (const key of keys) {
+      if (!conns.has(key)) continue;
+      remove(key);
+      add(key);
+    }
+  }
+
+  function status() {
+    return [...conns.values()].map(({ socket, ...rest }) => rest);
+  }
+
+  function closeAll() {
+    for (const key of [...conns.keys()]) remove(key);
+  }
+
+  /** Swap the accepted event patterns — open sockets keep running */
+  function setEvents(list) {
+    accepted = normalizeEventPatterns(list);
+  }
+
+  return {
+    add,
+    remove,
+    sync,
+    reconnect,
+    status,
+    closeAll,
+    setEvents,
+    get: (instance) => conns.get(instance || GLOBAL_KEY),
+    names: () => [...conns.keys()],
+    anyConnected: () =>
+      [...conns.values()].some((c) => c.state === "connected"),
+    allConnected: () =>
+      conns.size > 0 &&
+      [...conns.values()].every((c) => c.state === "connected"),
+  };
+}
+
+module.exports = {
+  GLOBAL_KEY,
+  buildConnectUrl,
+  buildSocketOptions,
+  readInstanceNames,
+  createEvolutionManager,
+};
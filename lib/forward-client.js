@@ -0,0 +1,118 @@
+/* ─────────────────────────────────────────────────────────────
+   FORWARD CLIENT — The axios client and request of a backend forward
+   ─────────────────────────────────────────────────────────────
+   • One axios instance per destination: its timeout, the optional
+     proxy agent and exponential-backoff retries on resets,
+     timeouts and 5xx — none once the circuit is open
+   • Every attempt carries its own request id and signature; the
+     Idempotency-Key stays the same across retries and replays
+   ───────────────────────────────────────────────────────────── */
+
+const axios = require("axios");
+const axiosRetry = require("axios-retry").default || require("axios-retry");
+const { stampRequest } = require("./signing");
+
+// Network-level resets / timeouts worth another try
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ERR_SSL_SSLV3_ALERT_HANDSHAKE_FAILURE",
+];
+
+/**
+ * @param {object} config  a destination (lib/routing.js): name, timeoutMs, retries, signingKeys
+ * @param {object} [opts]
+ * @param {object} [opts.breaker]     the destination's circuit breaker — no retries while open
+ * @param {object} [opts.agent]       HTTPS_PROXY agent for http and https
+ * @param {Function} [opts.retryDelay]  (retryCount) => ms (default exponential)
+ * @param {Function} [opts.onRetry]   (retryCount, error, requestConfig) — after re-signing
+ * @param {Function} [opts.track]     (stage, status, detail) logger
+ */
+function createForwardClient(
+  config,
+  {
+    breaker = null,
+    agent = null,
+    retryDelay = axiosRetry.exponentialDelay,
+    onRetry = () => {},
+    track = () => {},
+  } = {},
+) {
+  const cfg = {
+    timeout: config.timeoutMs,
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "Wessaal-Node-Layer/1.0",
+    },
+  };
+
+  // ── Outbound proxy — routes traffic via external IP ──
+  if (agent) {
+    cfg.httpAgent = agent;
+    cfg.httpsAgent = agent;
+    cfg.proxy = false; // disable axios' built-in env proxy
+  }
+
+  const instance = axios.create(cfg);
+
+  // ── Exponential-backoff retries ──
+  axiosRetry(instance, {
+    retries: config.retries,
+    retryDelay: (retryCount) => {
+      const delay = retryDelay(retryCount);
+      track("RETRY", "INFO", `[${config.name}] Back-off #${retryCount} — waiting ${delay} ms`);
+      return delay;
+    },
+    retryCondition: (error) => {
+      // Backend declared down by other forwards — stop retrying this one
+      if (breaker?.state === "open") return false;
+      if (RETRYABLE_CODES.includes(error.code || "")) return true;
+      // 5xx server errors
+      if (error.response && error.response.status >= 500) return true;
+      // Fallback to built-in check
+      return axiosRetry.isNetworkOrIdempotentRequestError(error);
+    },
+    shouldResetTimeout: true,
+    onRetry: (retryCount, error, requestConfig) => {
+      // New request id and signature; a backend's replay cache saw the old one
+      stampRequest(requestConfig.headers, { rawBody: requestConfig.data, keys: config.signingKeys });
+      onRetry(retryCount, error, requestConfig);
+      track(
+        "RETRY",
+        "INFO",
+        `[${config.name}] [${retryCount}/${config.retries}] code=${error.code || "n/a"} status=${error.response?.status || "n/a"} url=${requestConfig.url}`,
+      );
+    },
+  });
+
+  return instance;
+}
+
+/**
+ * Headers and body of one forward: the destination's headers and
+ * credentials, the envelope's Idempotency-Key and the first attempt's
+ * request id and signature, over the exact bytes sent.
+ * @returns {{ headers: object, rawBody: string }}
+ */
+function forwardRequest(config, envelope) {
+  const headers = { ...config.headers };
+  if (config.webhookSecret) headers["x-webhook-secret"] = config.webhookSecret;
+  if (config.apiKey) headers["x-evolution-api-key"] = config.apiKey;
+
+  // Same for every attempt and outbox replay — lets the backend drop repeats
+  if (envelope.meta?.idempotencyKey) {
+    headers["idempotency-key"] = envelope.meta.idempotencyKey;
+  }
+
+  // Serialize once so the signature covers the exact bytes on the wire
+  const rawBody = JSON.stringify(envelope);
+  stampRequest(headers, { rawBody, keys: config.signingKeys });
+  return { headers, rawBody };
+}
+
+module.exports = { RETRYABLE_CODES, createForwardClient, forwardRequest };
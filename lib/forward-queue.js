@@ -0,0 +1,272 @@
+/* ─────────────────────────────────────────────────────────────
+   FORWARD QUEUE — Ordered, bounded-concurrency forwarding
+   ─────────────────────────────────────────────────────────────
+   • One FIFO lane per instance; lanes run in parallel
+   • Up to `concurrency` forwards in flight per lane, but never two
+     with the same ordering key (chat) — per-chat order is kept
+   • A failed item keeps its place and is retried with back-off;
+     later items of the same chat wait behind it, until
+     `maxAttempts` gives up on it
+   • `maxLength` bounds each lane; `overflow` picks the victim
+     (`drop_oldest` | `drop_newest`)
+   • A lane is dropped once it is empty and not paused
+   ───────────────────────────────────────────────────────────── */
+
+const OVERFLOW_POLICIES = ["drop_oldest", "drop_newest"];
+
+/**
+ * @param {object} opts
+ * @param {Function} opts.worker    (item) => Promise<{ ok, retry, retryAfterMs, skipped }>
+ *   `skipped: true` — nothing was sent (circuit open); not counted as an attempt
+ * @param {Function} [opts.laneOf]  (item) => lane name (instance)
+ * @param {Function} [opts.keyOf]   (item) => ordering key inside the lane
+ * @param {number} [opts.maxAttempts]  give up after this many attempts (0 = never)
+ * @param {Function} [opts.onDone]  (item, result, stats) — delivered, rejected for good
+ *   or given up (`result.exhausted`); stats: { attempts, enqueuedAt, firstAttemptAt, lastAttemptAt }
+ * @param {Function} [opts.onDrop]  (item, reason, stats) — evicted by the overflow policy
+ */
+function createForwardQueue({
+  worker,
+  laneOf = (item) => item.lane,
+  keyOf = () => "_",
+  concurrency = 1,
+  maxLength = 10000,
+  overflow = "drop_oldest",
+  retryDelayMs = 2000,
+  maxRetryDelayMs = 60000,
+  maxAttempts = 0,
+  onDone = () => {},
+  onDrop = () => {},
+  track = () => {},
+}) {
+  if (!OVERFLOW_POLICIES.includes(overflow)) {
+    throw new Error(`Unknown overflow policy "${overflow}"`);
+  }
+
+  const lanes = new Map(); // name → { items: [], active: Set<key>, inFlight, paused }
+  let running = false;
+  let drainTo = null; // set by drain() — where unfinished items go
+
+  function laneFor(name) {
+    let lane = lanes.get(name);
+    if (!lane) {
+      lane = {
+        name,
+        items: [], // entries in arrival order, in-flight ones included
+        active: new Set(), // ordering keys currently in flight
+        inFlight: 0,
+        paused: false,
+        timer: null,
+        wakeAt: 0,
+      };
+      lanes.set(name, lane);
+    }
+    return lane;
+  }
+
+  /* ───────── Enqueue ───────── */
+
+  function push(item) {
+    const lane = laneFor(laneOf(item));
+    const entry = {
+      item,
+      key: keyOf(item),
+      attempts: 0,
+      waitUntil: 0,
+      busy: false,
+      enqueuedAt: Date.now(),
+      firstAttemptAt: null,
+      lastAttemptAt: null,
+    };
+
+    const queued = lane.items.filter((e) => !e.busy).length;
+    if (maxLength > 0 && queued >= maxLength) {
+      if (overflow === "drop_newest") {
+        onDrop(item, "overflow", stats(entry));
+        return false;
+      }
+      const victimIdx = lane.items.findIndex((e) => !e.busy);
+      const [victim] = lane.items.splice(victimIdx, 1);
+      onDrop(victim.item, "overflow", stats(victim));
+    }
+
+    lane.items.push(entry);
+    pump(lane);
+    return true;
+  }
+
+  /* ───────── Scheduling ───────── */
+
+  /** Next dispatchable entry: first one whose chat isn't busy or blocked */
+  function nextEntry(lane, now) {
+    const blocked = new Set(lane.active);
+    for (const entry of lane.items) {
+      if (entry.busy) continue;
+      if (blocked.has(entry.key)) continue;
+      if (entry.waitUntil > now) {
+        blocked.add(entry.key); // later items of this chat wait behind it
+        continue;
+      }
+      return entry;
+    }
+    return null;
+  }
+
+  function pump(lane) {
+    if (!running || lane.paused) return;
+    const now = Date.now();
+    while (lane.inFlight < concurrency) {
+      const entry = nextEntry(lane, now);
+      if (!entry) break;
+      dispatch(lane, entry);
+    }
+    scheduleWake(lane, now);
+  }
+
+  function scheduleWake(lane, now) {
+    const waits = lane.items
+      .filter((e) => !e.busy && e.waitUntil > now)
+      .map((e) => e.waitUntil);
+    if (waits.length === 0) return;
+    const at = Math.min(...waits);
+    if (lane.timer && lane.wakeAt <= at) return;
+    clearTimeout(lane.timer);
+    lane.wakeAt = at;
+    lane.timer = setTimeout(() => {
+      lane.timer = null;
+      pump(lane);
+    }, at - now);
+    lane.timer.unref?.();
+  }
+
+  async function dispatch(lane, entry) {
+    entry.busy = true;
+    entry.attempts++;
+    const startedAt = Date.now();
+    lane.inFlight++;
+    lane.active.add(entry.key);
+
+    let result;
+    try {
+      result = await worker(entry.item, entry.attempts);
+    } catch (err) {
+      result = { ok: false, error: err.message };
+    }
+
+    lane.inFlight--;
+    lane.active.delete(entry.key);
+    entry.busy = false;
+    if (result?.skipped) entry.attempts--;
+    else {
+      entry.firstAttemptAt ??= startedAt;
+      entry.lastAttemptAt = startedAt;
+    }
+
+    const exhausted =
+      !result?.ok && result?.retry !== false && maxAttempts > 0 && entry.attempts >= maxAttempts;
+    if (result?.ok || result?.retry === false || exhausted) {
+      lane.items.splice(lane.items.indexOf(entry), 1);
+      onDone(entry.item, exhausted ? { ...result, exhausted: true } : result, stats(entry));
+    } else if (drainTo) {
+      lane.items.splice(lane.items.indexOf(entry), 1);
+      drainTo(entry.item, stats(entry));
+    } else if (result?.skipped) {
+      // Nothing was sent — wait out the circuit, no back-off step and no log
+      entry.waitUntil = Date.now() + (result.retryAfterMs || retryDelayMs);
+    } else {
+      const delay = Math.max(
+        Math.min(retryDelayMs * 2 ** (entry.attempts - 1), maxRetryDelayMs),
+        result?.retryAfterMs || 0,
+      );
+      entry.waitUntil = Date.now() + delay;
+      track(
+        "QUEUE",
+        "INFO",
+        `[${lane.name}] attempt #${entry.attempts} failed — retry in ${delay} ms (${lane.items.length} queued)`,
+        { instance: lane.name },
+      );
+    }
+    pump(lane);
+    retireIfIdle(lane);
+  }
+
+  /** Forget an empty lane — instance names come and go; paused ones are kept */
+  function retireIfIdle(lane) {
+    if (lane.items.length > 0 || lane.paused || lanes.get(lane.name) !== lane) return;
+    clearTimeout(lane.timer);
+    lanes.delete(lane.name);
+  }
+
+  function stats(entry) {
+    const { attempts, enqueuedAt, firstAttemptAt, lastAttemptAt } = entry;
+    return { attempts, enqueuedAt, firstAttemptAt, lastAttemptAt };
+  }
+
+  /* ───────── Control & reporting ───────── */
+
+  function start() {
+    running = true;
+    lanes.forEach(pump);
+  }
+
+  function stop() {
+    running = false;
+    for (const lane of lanes.values()) {
+      clearTimeout(lane.timer);
+      lane.timer = null;
+    }
+  }
+
+  /**
+   * Stop for good and hand every item to `fn(item, stats)` — queued ones at
+   * once, in-flight ones when they come back unfinished.
+   */
+  function drain(fn) {
+    stop();
+    drainTo = fn;
+    for (const lane of lanes.values()) {
+      for (const entry of lane.items.filter((e) => !e.busy)) {
+        lane.items.splice(lane.items.indexOf(entry), 1);
+        fn(entry.item, stats(entry));
+      }
+      retireIfIdle(lane);
+    }
+  }
+
+  function pause(name) {
+    laneFor(name).paused = true;
+  }
+
+  function resume(name) {
+    const lane = lanes.get(name);
+    if (!lane) return;
+    lane.paused = false;
+    pump(lane);
+    retireIfIdle(lane);
+  }
+
+  /** Per-lane depth: queued (waiting to go), inFlight, retrying, paused */
+  function depth() {
+    const out = {};
+    for (const [name, lane] of lanes) {
+      const now = Date.now();
+      out[name] = {
+        queued: lane.items.filter((e) => !e.busy).length,
+        inFlight: lane.inFlight,
+        retrying: lane.items.filter((e) => !e.busy && e.waitUntil > now).length,
+        paused: lane.paused,
+      };
+    }
+    return out;
+  }
+
+  function size() {
+    let n = 0;
+    for (const lane of lanes.values()) n += lane.items.length;
+    return n;
+  }
+
+  return { push, start, stop, drain, pause, resume, depth, size };
+}
+
+module.exports = { createForwardQueue, OVERFLOW_POLICIES };
@@ -0,0 +1,154 @@
+/* ─────────────────────────────────────────────────────────────
+   FRONT AUTH — Signed browser tokens for the front Socket.IO
+   ─────────────────────────────────────────────────────────────
+   • Tokens are HS256 JWTs issued by the Laravel app
+   • Claims: `instances` (names, `*`, or { name, role } objects),
+     `role` (default role), `exp` / `nbf` (unix seconds)
+   • Several secrets may be active at once (rotation)
+   • Roles can be limited to a set of event patterns (either
+     event spelling)
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const { matchesAny, parseList } = require("./patterns");
+const { normalizeEventPatterns } = require("./events");
+
+class FrontAuthError extends Error {
+  constructor(reason, message = reason) {
+    super(message);
+    this.name = "FrontAuthError";
+    this.reason = reason;
+  }
+}
+
+const b64url = (buf) =>
+  Buffer.from(buf)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+const fromB64url = (str) =>
+  Buffer.from(str.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+
+/** Issue a token — used by tests and local tooling; Laravel issues real ones */
+function signFrontToken(claims, secret) {
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify(claims));
+  const sig = b64url(
+    crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest(),
+  );
+  return `${header}.${payload}.${sig}`;
+}
+
+/**
+ * Verify a token against any of `secrets` and normalize its claims.
+ * Throws FrontAuthError with a machine-readable `reason`.
+ *
+ * @returns {{ sub, exp, grants: Map<string, string|null> }}
+ *   grants: instance name (or `*`) → role (null = unrestricted)
+ */
+function verifyFrontToken(token, secrets, now = Date.now()) {
+  if (!token || typeof token !== "string") {
+    throw new FrontAuthError("missing_token");
+  }
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new FrontAuthError("malformed_token");
+
+  let header, claims;
+  try {
+    header = JSON.parse(fromB64url(parts[0]).toString("utf8"));
+    claims = JSON.parse(fromB64url(parts[1]).toString("utf8"));
+  } catch {
+    throw new FrontAuthError("malformed_token");
+  }
+  if (header.alg !== "HS256") throw new FrontAuthError("unsupported_alg");
+
+  const given = fromB64url(parts[2]);
+  const valid = secrets.some((secret) => {
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${parts[0]}.${parts[1]}`)
+      .digest();
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+  if (!valid) throw new FrontAuthError("bad_signature");
+
+  const nowSec = now / 1000;
+  if (typeof claims.exp === "number" && claims.exp <= nowSec) {
+    throw new FrontAuthError("token_expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > nowSec) {
+    throw new FrontAuthError("token_not_yet_valid");
+  }
+
+  const grants = new Map();
+  const list = Array.isArray(claims.instances) ? claims.instances : [];
+  for (const entry of list) {
+    if (typeof entry === "string") grants.set(entry, claims.role || null);
+    else if (entry?.name) grants.set(entry.name, entry.role || claims.role || null);
+  }
+  if (grants.size === 0) throw new FrontAuthError("no_instances");
+
+  return { sub: claims.sub ?? null, exp: claims.exp ?? null, grants };
+}
+
+/** Role granted for `instance`, `undefined` when the token does not cover it */
+function roleFor(auth, instance) {
+  if (auth.grants.has(instance)) return auth.grants.get(instance);
+  if (auth.grants.has("*")) return auth.grants.get("*");
+  return undefined;
+}
+
+/**
+ * Parse `FRONT_ROLE_EVENTS`: `agent:messages.*|send.message,supervisor:*`.
+ * Roles not listed receive every event.
+ */
+function parseRoleEvents(value = "") {
+  const map = new Map();
+  for (const entry of parseList(value)) {
+    const idx = entry.indexOf(":");
+    if (idx <= 0) continue;
+    map.set(
+      entry.slice(0, idx).trim(),
+      normalizeEventPatterns(parseList(entry.slice(idx + 1), "|")),
+    );
+  }
+  return map;
+}
+
+/** Roles (from the restricted set) allowed to receive `event` */
+function rolesForEvent(roleEvents, event) {
+  const roles = [];
+  for (const [role, patterns] of roleEvents) {
+    if (matchesAny(patterns, event)) roles.push(role);
+  }
+  return roles;
+}
+
+/** Whether a socket joined with `role` may receive `event` */
+function roleAllows(roleEvents, role, event) {
+  if (!roleEvents.has(role)) return true;
+  return matchesAny(roleEvents.get(role), event);
+}
+
+/** Pull the token from auth payload, query string or Authorization header */
+function tokenFromHandshake(handshake = {}) {
+  const fromAuth = handshake.auth?.token;
+  if (fromAuth) return fromAuth;
+  const fromQuery = handshake.query?.token;
+  if (fromQuery) return fromQuery;
+  const header = handshake.headers?.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : "";
+}
+
+module.exports = {
+  FrontAuthError,
+  signFrontToken,
+  verifyFrontToken,
+  roleFor,
+  parseRoleEvents,
+  rolesForEvent,
+  roleAllows,
+  tokenFromHandshake,
+};
@@ -0,0 +1,162 @@
+/* ─────────────────────────────────────────────────────────────
+   HEALTH — Readiness checks, their state and when it last changed
+   ─────────────────────────────────────────────────────────────
+   • A check is a function returning `{ ok, warn, detail }`, or
+     null when there is nothing to check here (no destinations,
+     not the pipeline owner); `warn` on a passing check makes it
+     `degraded` — shown and logged, but still ready
+   • Ready means every required check passes; the others are
+     still run and shown, they just do not drain the process
+   • Checks also run on a timer, so every change is logged and
+     stamped with its time whether or not anyone polls
+   • The event-loop check is built in: the longest stall a small
+     drift timer saw since the previous run
+   ───────────────────────────────────────────────────────────── */
+
+const { performance } = require("perf_hooks");
+
+const CHECK_NAMES = ["evolution", "circuit", "outbox", "event_loop"];
+const LAG_RESOLUTION_MS = 20;
+
+/**
+ * Evolution sockets: degraded while any is down, failing only when none is
+ * connected — one instance losing its phone must not drain the others.
+ */
+function evolutionCheck(conns) {
+  const up = conns.filter((c) => c.state === "connected").length;
+  const down = conns.filter((c) => c.state !== "connected").map((c) => c.instance ?? "(global)");
+  return {
+    ok: up > 0,
+    warn: down.length > 0,
+    detail: `${up}/${conns.length} connected${up > 0 && down.length ? ` — down: ${down.join(", ")}` : ""}`,
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {{ [name]: () => ({ ok, warn, detail } | null) }} opts.checks
+ * @param {() => string[]} opts.required   names that decide readiness
+ * @param {() => number} opts.maxLagMs     event-loop stall that fails `event_loop`
+ * @param {number} [opts.intervalMs]
+ */
+function createHealth({
+  checks,
+  required,
+  maxLagMs,
+  intervalMs = 5000,
+  track = () => {},
+  now = Date.now,
+}) {
+  let lagMs = 0; // worst stall of the last finished window
+  let worst = 0;
+  let lastSample = 0;
+
+  const all = {
+    ...checks,
+    event_loop: () => ({
+      ok: lagMs < maxLagMs(),
+      detail: `${Math.round(lagMs)} ms max stall (limit ${maxLagMs()} ms)`,
+    }),
+  };
+  const state = {}; // name → { status, detail, since, checkedAt }
+  let ready = null;
+  let readySince = null;
+  let timer = null;
+  let sampler = null;
+
+  function runOne(name, at) {
+    let result;
+    try {
+      result = all[name]();
+    } catch (err) {
+      result = { ok: false, detail: `check threw: ${err.message}` };
+    }
+    let status = "skipped";
+    if (result !== null) status = !result.ok ? "failing" : result.warn ? "degraded" : "ok";
+    const prev = state[name];
+    if (prev && prev.status !== status) {
+      track(
+        "HEALTH",
+        status === "failing" || status === "degraded" ? "WARN" : "INFO",
+        `${name}: ${prev.status} → ${status}${result ? ` (${result.detail})` : ""}`,
+        { check: name, status },
+      );
+    }
+    state[name] = {
+      status,
+      detail: result?.detail ?? null,
+      since: prev && prev.status === status ? prev.since : at,
+      checkedAt: at,
+    };
+  }
+
+  /** Run every check now; returns whether the required ones pass */
+  function run() {
+    const at = new Date(now()).toISOString();
+    for (const name of Object.keys(all)) runOne(name, at);
+    const needed = required();
+    const failing = needed.filter((name) => state[name]?.status === "failing");
+    const next = failing.length === 0;
+    if (next !== ready) {
+      if (ready !== null) {
+        track(
+          "HEALTH",
+          next ? "SUCCESS" : "WARN",
+          next ? "Ready" : `Not ready — ${failing.join(", ")} failing`,
+          { ready: next, failing },
+        );
+      }
+      ready = next;
+      readySince = at;
+    }
+    return ready;
+  }
+
+  /** The per-check breakdown `/status` shows */
+  function status() {
+    run();
+    const needed = required();
+    const out = {};
+    for (const [name, s] of Object.entries(state)) out[name] = { required: needed.includes(name), ...s };
+    return {
+      ready,
+      since: readySince,
+      failing: needed.filter((name) => state[name]?.status === "failing"),
+      degraded: Object.keys(state).filter((name) => state[name].status === "degraded"),
+      checks: out,
+    };
+  }
+
+  // A stall the sampler has not seen yet counts in the next window, never lost
+  function sampleLag() {
+    const t = performance.now();
+    worst = Math.max(worst, t - lastSample - LAG_RESOLUTION_MS);
+    lastSample = t;
+  }
+
+  function tick() {
+    lagMs = worst;
+    worst = 0;
+    run();
+  }
+
+  function start() {
+    if (timer) return;
+    lastSample = performance.now();
+    sampler = setInterval(sampleLag, LAG_RESOLUTION_MS);
+    sampler.unref();
+    run();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(sampler);
+    timer = sampler = null;
+  }
+
+  return { run, status, start, stop };
+}
+
+module.exports = { CHECK_NAMES, createHealth, evolutionCheck };
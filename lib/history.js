@@ -0,0 +1,83 @@
+/* ─────────────────────────────────────────────────────────────
+   HISTORY — Bounded per-instance ring buffer of emitted events
+   ─────────────────────────────────────────────────────────────
+   • Every envelope gets a per-instance, monotonically increasing
+     `eventId`
+   • The last `size` envelopes per instance are kept in memory
+   • since(instance, id) returns what a reconnecting browser missed,
+     flagging a gap when the buffer no longer reaches back that far
+   • In cluster mode, workers mirror the owner's stamped envelopes
+   ───────────────────────────────────────────────────────────── */
+
+function createEventHistory({ size = 200 } = {}) {
+  const rings = new Map(); // instance → { buf, start, count, lastId }
+
+  function ringFor(instance) {
+    let ring = rings.get(instance);
+    if (!ring) {
+      ring = { buf: new Array(size), start: 0, count: 0, lastId: 0 };
+      rings.set(instance, ring);
+    }
+    return ring;
+  }
+
+  function keep(ring, stamped) {
+    if (size <= 0) return;
+    const idx = (ring.start + ring.count) % size;
+    ring.buf[idx] = stamped;
+    if (ring.count < size) ring.count++;
+    else ring.start = (ring.start + 1) % size;
+  }
+
+  /** Stamp `envelope` with the next eventId and keep it; returns the copy */
+  function record(instance, envelope) {
+    const ring = ringFor(instance);
+    const stamped = { ...envelope, eventId: ++ring.lastId };
+    keep(ring, stamped);
+    return stamped;
+  }
+
+  /** Keep an envelope already stamped elsewhere (the cluster owner) */
+  function mirror(instance, stamped) {
+    let ring = ringFor(instance);
+    if (stamped.eventId <= ring.lastId) {
+      // Ids went backwards: the owner restarted, its old ids are gone
+      rings.delete(instance);
+      ring = ringFor(instance);
+    }
+    ring.lastId = stamped.eventId;
+    keep(ring, stamped);
+  }
+
+  /**
+   * Envelopes with eventId > `sinceId`, oldest first.
+   * `gap` is true when some of them have already been evicted — or when
+   * `sinceId` is ahead of us (the layer restarted and ids began again).
+   */
+  function since(instance, sinceId) {
+    const ring = rings.get(instance);
+    if (!ring) return { events: [], gap: sinceId > 0, lastEventId: 0 };
+
+    const restarted = sinceId > ring.lastId;
+    const from = restarted ? 0 : sinceId;
+    const events = [];
+    for (let i = 0; i < ring.count; i++) {
+      const env = ring.buf[(ring.start + i) % size];
+      if (env.eventId > from) events.push(env);
+    }
+    const oldest = ring.count ? ring.buf[ring.start].eventId : ring.lastId + 1;
+    return {
+      events,
+      gap: restarted || oldest > from + 1,
+      lastEventId: ring.lastId,
+    };
+  }
+
+  function lastEventId(instance) {
+    return rings.get(instance)?.lastId ?? 0;
+  }
+
+  return { record, mirror, since, lastEventId };
+}
+
+module.exports = { createEventHistory };
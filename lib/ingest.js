@@ -0,0 +1,113 @@
+/* ─────────────────────────────────────────────────────────────
+   INGEST — Evolution webhook deliveries over HTTP
+   ─────────────────────────────────────────────────────────────
+   • For Evolution servers that can only push webhooks; runs
+     beside (or instead of) the socket.io client
+   • Callers may be limited by a shared secret, an IP / CIDR
+     allowlist, or both. The allowlist checks the connecting
+     peer; `X-Forwarded-For` only counts when the layer is told
+     it sits behind a proxy, as anyone can send the header
+   • Deliveries are the same `{ event, instance, data, ... }`
+     objects the socket emits, so both feed one pipeline
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const net = require("net");
+const { parseList } = require("./patterns");
+
+/** `10.0.0.0/8, 203.0.113.7, 2001:db8::/32` → net.BlockList (null = anyone) */
+function parseAllowlist(value = "") {
+  const entries = parseList(value);
+  if (entries.length === 0) return null;
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, bits] = entry.split("/");
+    const type = net.isIPv6(address) ? "ipv6" : net.isIPv4(address) ? "ipv4" : null;
+    if (!type) throw new Error(`Invalid IP allowlist entry "${entry}"`);
+    if (bits === undefined) list.addAddress(address, type);
+    else list.addSubnet(address, Number(bits), type);
+  }
+  return list;
+}
+
+/** `::ffff:10.1.2.3` → `10.1.2.3` */
+function clientAddress(ip = "") {
+  return ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+/** Secret from `X-Ingest-Secret`, `Authorization: Bearer` or `?secret=` */
+function secretFromRequest(req) {
+  const header = req.headers?.["x-ingest-secret"];
+  if (header) return String(header);
+  const auth = req.headers?.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7);
+  return typeof req.query?.secret === "string" ? req.query.secret : "";
+}
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * @param {object} opts
+ * @param {string[]} [opts.secrets]  accepted shared secrets (rotation: several)
+ * @param {string} [opts.allowIps]   comma-separated IPs / CIDRs
+ * @param {boolean} [opts.trustProxy] check the forwarded client (`req.ip`)
+ *                                    instead of the connecting peer
+ * @returns {{ check(req) → null | "forbidden_ip" | "bad_secret", open: boolean }}
+ */
+function createIngestGuard({ secrets = [], allowIps = "", trustProxy = false } = {}) {
+  const allowlist = parseAllowlist(allowIps);
+
+  function check(req) {
+    if (allowlist) {
+      const ip = clientAddress(trustProxy ? req.ip : req.socket?.remoteAddress);
+      const type = net.isIPv6(ip) ? "ipv6" : "ipv4";
+      if (!net.isIP(ip) || !allowlist.check(ip, type)) return "forbidden_ip";
+    }
+    if (secrets.length > 0) {
+      const given = secretFromRequest(req);
+      if (!given || !secrets.some((s) => safeEqual(given, s))) return "bad_secret";
+    }
+    return null;
+  }
+
+  return { check, open: !allowlist && secrets.length === 0 };
+}
+
+/**
+ * Instance name an Evolution payload carries: `instance` as a string or as
+ * `{ instanceName }`, `instanceName`, or the same under `data`. Null if none.
+ */
+function instanceFromPayload(payload) {
+  const candidates = [
+    payload?.instance,
+    payload?.instance?.instanceName,
+    payload?.instanceName,
+    payload?.data?.instance,
+    payload?.data?.instance?.instanceName,
+  ];
+  return candidates.find((v) => typeof v === "string" && v) || null;
+}
+
+/**
+ * Pull `{ event, instance, payload }` out of a webhook body. The path
+ * instance only fills in when the body does not name one.
+ * Returns null for bodies that are not Evolution deliveries.
+ */
+function parseDelivery(body, pathInstance) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return null;
+  if (typeof body.event !== "string" || !body.event) return null;
+  const instance = instanceFromPayload(body) || pathInstance || null;
+  return { event: body.event, instance, payload: body };
+}
+
+module.exports = {
+  createIngestGuard,
+  parseAllowlist,
+  parseDelivery,
+  instanceFromPayload,
+  clientAddress,
+};
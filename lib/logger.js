@@ -0,0 +1,145 @@
+/* ─────────────────────────────────────────────────────────────
+   LOGGER — Levelled, structured logging with redaction
+   ─────────────────────────────────────────────────────────────
+   • Levels: debug < info < warn < error  (LOG_LEVEL)
+   • Formats: `pretty` (the classic track() line) or `json`
+     (one object per line for log shippers)
+   • Configured secrets and phone numbers (+numbers, user JIDs) are
+     redacted from the message and every string field, arrays
+     included, before anything is written
+   ───────────────────────────────────────────────────────────── */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const ICONS = { error: "❌", warn: "⚠️", SUCCESS: "✅" };
+
+// +prefixed numbers and user JIDs (`<digits>[:device]@s.whatsapp.net` / `@c.us`)
+// only — bare digit runs are timestamps, ids and sizes far more often
+const PHONE_RE = /\+\d{8,15}\b|\b\d{8,15}(?=(?::\d+)?@(?:s\.whatsapp\.net|c\.us)\b)/g;
+
+function maskPhone(match) {
+  const digits = match.replace(/^\+/, "");
+  return `${match.startsWith("+") ? "+" : ""}${"•".repeat(digits.length - 4)}${digits.slice(-4)}`;
+}
+
+/** Strip credentials and the query string from a URL for display */
+function redactUrl(value) {
+  if (!value) return value;
+  try {
+    const u = new URL(value);
+    if (u.username || u.password) {
+      u.username = "***";
+      u.password = "";
+    }
+    const hadQuery = !!u.search;
+    u.search = "";
+    return u.toString() + (hadQuery ? "?…" : "");
+  } catch {
+    return "(invalid url)";
+  }
+}
+
+/** Map the track() status column to a level */
+function levelForStatus(status) {
+  if (status === "ERROR") return "error";
+  if (status === "DROP" || status === "WARN") return "warn";
+  if (status === "DEBUG") return "debug";
+  return "info";
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.level]      minimum level (default "info")
+ * @param {string} [opts.format]     "pretty" | "json"
+ * @param {string[]} [opts.secrets]  literal values to redact
+ * @param {boolean} [opts.redactPhones]
+ * @param {Function} [opts.write]    line sink (default console.log)
+ */
+function createLogger({
+  level = "info",
+  format = "pretty",
+  secrets = [],
+  redactPhones = true,
+  write = (line) => console.log(line),
+} = {}) {
+  let min = LEVELS[level] ?? LEVELS.info;
+  let secretList = [];
+
+  function setSecrets(list) {
+    // Longest first so a secret that contains another is fully replaced
+    secretList = [...new Set(list.filter((s) => s && s.length >= 4))].sort(
+      (a, b) => b.length - a.length,
+    );
+  }
+  setSecrets(secrets);
+
+  function redact(text) {
+    if (typeof text !== "string") return text;
+    let out = text;
+    for (const secret of secretList) out = out.split(secret).join("[REDACTED]");
+    if (redactPhones) out = out.replace(PHONE_RE, maskPhone);
+    return out;
+  }
+
+  function redactValue(v) {
+    if (typeof v === "string") return redact(v);
+    if (Array.isArray(v)) return v.map(redactValue); // mentions, recipients, …
+    if (v && typeof v === "object") return redactFields(v);
+    return v;
+  }
+
+  function redactFields(fields) {
+    const out = {};
+    for (const [k, v] of Object.entries(fields)) {
+      if (v !== undefined) out[k] = redactValue(v);
+    }
+    return out;
+  }
+
+  function log(lvl, stage, status, detail = "", fields = {}) {
+    if ((LEVELS[lvl] ?? LEVELS.info) < min) return;
+    const time = new Date().toISOString();
+    const msg = redact(String(detail));
+
+    if (format === "json") {
+      write(
+        JSON.stringify({
+          time,
+          level: lvl,
+          stage,
+          status,
+          msg,
+          ...redactFields(fields),
+        }),
+      );
+      return;
+    }
+
+    const icon = ICONS[lvl] || ICONS[status] || "ℹ️";
+    write(`[${time}] ${icon} [${stage.padEnd(12)}] ${status.padEnd(8)} | ${msg}`);
+  }
+
+  /** The pipeline's classic call shape: track(stage, status, detail, fields) */
+  function track(stage, status, detail = "", fields = {}) {
+    log(levelForStatus(status), stage, status, detail, fields);
+  }
+
+  function setLevel(name) {
+    min = LEVELS[name] ?? LEVELS.info;
+  }
+
+  return {
+    track,
+    log,
+    redact,
+    setSecrets,
+    setLevel,
+    pretty: format !== "json",
+    debug: (stage, detail, fields) => log("debug", stage, "DEBUG", detail, fields),
+    info: (stage, detail, fields) => log("info", stage, "INFO", detail, fields),
+    warn: (stage, detail, fields) => log("warn", stage, "WARN", detail, fields),
+    error: (stage, detail, fields) => log("error", stage, "ERROR", detail, fields),
+  };
+}
+
+module.exports = { LEVELS, createLogger, redactUrl, levelForStatus };
@@ -0,0 +1,213 @@
+/* ─────────────────────────────────────────────────────────────
+   MEDIA — Pull inline base64 attachments out of envelopes
+   ─────────────────────────────────────────────────────────────
+   • `messages.upsert` bodies carrying base64 (Evolution's
+     `webhookBase64`) are decoded and stored once, keyed by sha256
+   • The blob is replaced by `{ url, mimetype, size, sha256 }`, so
+     the backend and browsers receive a small envelope
+   • Stores: a local directory or an S3-compatible bucket
+   • URLs carry an HMAC signature with an expiry that the Express
+     `/media` route checks before streaming the file
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { createS3Client } = require("./s3");
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "video/mp4": "mp4",
+  "video/3gpp": "3gp",
+  "audio/ogg": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/aac": "aac",
+  "application/pdf": "pdf",
+  "application/zip": "zip",
+  "text/plain": "txt",
+};
+const MIMETYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([m, e]) => [e, m]));
+
+// `<instance>/<sha256>.<ext>` — anything else is refused by the route
+const KEY_RE = /^(?:[A-Za-z0-9_.-]|%[0-9A-F]{2})+\/[a-f0-9]{64}\.[a-z0-9]+$/;
+
+const baseMime = (mimetype) => String(mimetype || "").split(";")[0].trim().toLowerCase();
+const extensionFor = (mimetype) => EXTENSIONS[baseMime(mimetype)] || "bin";
+const mimetypeFor = (key) =>
+  MIMETYPES[key.slice(key.lastIndexOf(".") + 1)] || "application/octet-stream";
+
+/**
+ * Instance name as a key segment: percent-encoded, so no two names share a
+ * directory (`acme co` → `acme%20co`, `acme_co` stays). Names of plain
+ * letters, digits, `_`, `.` and `-` are unchanged.
+ */
+function mediaSegment(name) {
+  const encoded = encodeURIComponent(String(name || "unknown")).replace(
+    /[!'()*~]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return /^\.+$/.test(encoded) ? encoded.replace(/\./g, "%2E") : encoded;
+}
+
+function isMediaKey(key) {
+  return KEY_RE.test(key) && !key.includes("..");
+}
+
+/* ───────── Stores ───────── */
+
+/** Files under `dir/<instance>/<sha256>.<ext>` */
+function createLocalStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, ...key.split("/"));
+
+  return {
+    kind: "local",
+    async put(key, buffer) {
+      const file = fileFor(key);
+      if (fs.existsSync(file)) return; // content-addressed: already stored
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    },
+    async get(key) {
+      const file = fileFor(key);
+      let stat;
+      try {
+        stat = await fs.promises.stat(file);
+      } catch {
+        return null;
+      }
+      return {
+        stream: fs.createReadStream(file),
+        size: stat.size,
+        contentType: mimetypeFor(key),
+      };
+    },
+  };
+}
+
+/** Objects under `prefix<instance>/<sha256>.<ext>` in an S3-compatible bucket */
+function createS3Store({ prefix = "", ...s3 }) {
+  const client = createS3Client(s3);
+  return {
+    kind: "s3",
+    put: (key, buffer, mimetype) => client.putObject(prefix + key, buffer, baseMime(mimetype) || mimetypeFor(key)),
+    async get(key) {
+      const obj = await client.getObject(prefix + key);
+      if (!obj) return null;
+      return { ...obj, contentType: obj.contentType || mimetypeFor(key) };
+    },
+  };
+}
+
+/* ───────── Signed URLs ───────── */
+
+function signature(key, exp, secret) {
+  return crypto.createHmac("sha256", secret).update(`${key}.${exp}`).digest("hex");
+}
+
+/** Query string granting access to `key` until now + ttlSec (0 = no expiry) */
+function signMediaKey(key, secret, ttlSec, now = Date.now()) {
+  const exp = ttlSec > 0 ? Math.floor(now / 1000) + ttlSec : 0;
+  return `exp=${exp}&sig=${signature(key, exp, secret)}`;
+}
+
+function verifyMediaSignature(key, { exp, sig } = {}, secret, now = Date.now()) {
+  if (!sig || exp === undefined || !/^\d+$/.test(String(exp))) return false;
+  const expNum = Number(exp);
+  if (expNum !== 0 && expNum < Math.floor(now / 1000)) return false;
+  const expected = Buffer.from(signature(key, expNum, secret));
+  const given = Buffer.from(String(sig));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/* ───────── Extraction ───────── */
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store       createLocalStore / createS3Store
+ * @param {string} opts.publicUrl   base URL the `/media` route is reachable at
+ * @param {string} opts.secret      URL signing secret
+ * @param {number} [opts.ttlSec]    signed URL lifetime (0 = no expiry)
+ * @param {number} [opts.maxBytes]  larger attachments are dropped, not stored
+ */
+function createMediaHandler({
+  store,
+  publicUrl,
+  secret,
+  ttlSec = 7 * 24 * 3600,
+  maxBytes = 50 * 1024 * 1024,
+  track = () => {},
+}) {
+  const base = publicUrl.replace(/\/+$/, "");
+
+  function urlFor(key) {
+    return `${base}/media/${key}?${signMediaKey(key, secret, ttlSec)}`;
+  }
+
+  /**
+   * Store the inline base64 of one attachment and swap it for a URL.
+   * On a storage error the base64 is left in place — the attachment is
+   * never lost, only not slimmed down.
+   */
+  async function storeInline(envelope, media) {
+    if (!media || typeof media.base64 !== "string" || !media.base64) return;
+
+    const inline = media.base64;
+    const dataUri = /^data:([^;,]+)(?:;[^,]*)?,/.exec(inline);
+    if (dataUri && !media.mimetype) media.mimetype = dataUri[1];
+    const buffer = Buffer.from(dataUri ? inline.slice(dataUri[0].length) : inline, "base64");
+    delete media.base64;
+
+    const fields = { instance: envelope.instance, event: envelope.event, size: buffer.length };
+    if (maxBytes > 0 && buffer.length > maxBytes) {
+      media.error = "too_large";
+      media.size = buffer.length;
+      track("MEDIA", "WARN", `Attachment of ${buffer.length} bytes exceeds ${maxBytes} — not stored`, fields);
+      return;
+    }
+
+    const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+    const key = `${mediaSegment(envelope.instance)}/${sha256}.${extensionFor(media.mimetype)}`;
+    try {
+      await store.put(key, buffer, media.mimetype);
+    } catch (err) {
+      media.base64 = inline;
+      media.error = "store_failed";
+      track("MEDIA", "ERROR", `Storing ${key} failed: ${err.message}`, fields);
+      return;
+    }
+
+    if (media.url) media.sourceUrl = media.url;
+    media.url = urlFor(key);
+    media.key = key;
+    media.size = buffer.length;
+    media.sha256 = sha256;
+    media.mimetype = media.mimetype || mimetypeFor(key);
+    track("MEDIA", "SUCCESS", `Stored ${key} (${buffer.length} bytes, ${store.kind})`, fields);
+  }
+
+  /** Every attachment of an envelope — a batch's first one is shared with `body` */
+  async function extract(envelope) {
+    const all = new Set([envelope.body?.media, ...(envelope.body?.messages || []).map((m) => m?.media)]);
+    for (const media of all) await storeInline(envelope, media);
+    return envelope;
+  }
+
+  return { extract, urlFor };
+}
+
+module.exports = {
+  createLocalStore,
+  createS3Store,
+  createMediaHandler,
+  signMediaKey,
+  verifyMediaSignature,
+  isMediaKey,
+  mediaSegment,
+};
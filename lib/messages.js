@@ -0,0 +1,360 @@
+/* ─────────────────────────────────────────────────────────────
+   MESSAGES — Normalize Evolution / Baileys message payloads
+   ─────────────────────────────────────────────────────────────
+   • Reads the real `messages.upsert` shape: `data.key`,
+     `data.pushName`, `data.message.<type>Message`, `contextInfo`
+   • Unwraps ephemeral / view-once / document-with-caption / edit
+     wrappers before looking at the content
+   • Produces one flat schema: chat, sender, type, text, quoted,
+     mentions, media, reaction, location, contacts, poll
+   • Payloads without a `key` (older custom senders) fall back to
+     the generic id / from / text fields
+   • Batches (`data: [...]`, Baileys `messages: [...]`) yield every
+     message, not just the first
+   ───────────────────────────────────────────────────────────── */
+
+// Wrappers whose `.message` holds the real content
+const WRAPPERS = [
+  "ephemeralMessage",
+  "viewOnceMessage",
+  "viewOnceMessageV2",
+  "viewOnceMessageV2Extension",
+  "documentWithCaptionMessage",
+  "editedMessage",
+];
+
+// Baileys content key → normalized type
+const TYPES = {
+  conversation: "text",
+  extendedTextMessage: "text",
+  imageMessage: "image",
+  videoMessage: "video",
+  ptvMessage: "video",
+  audioMessage: "audio",
+  documentMessage: "document",
+  stickerMessage: "sticker",
+  reactionMessage: "reaction",
+  locationMessage: "location",
+  liveLocationMessage: "location",
+  contactMessage: "contact",
+  contactsArrayMessage: "contact",
+  pollCreationMessage: "poll",
+  pollCreationMessageV2: "poll",
+  pollCreationMessageV3: "poll",
+  pollUpdateMessage: "poll_vote",
+  buttonsResponseMessage: "button_reply",
+  templateButtonReplyMessage: "button_reply",
+  listResponseMessage: "list_reply",
+  protocolMessage: "protocol",
+};
+
+const MEDIA_KEYS = [
+  "imageMessage",
+  "videoMessage",
+  "ptvMessage",
+  "audioMessage",
+  "documentMessage",
+  "stickerMessage",
+];
+
+/* ───────── JIDs ───────── */
+
+/** `5511999999999:12@s.whatsapp.net` → `5511999999999` */
+function jidToPhone(jid) {
+  if (!jid || typeof jid !== "string") return null;
+  const [user, server] = jid.split("@");
+  if (server !== "s.whatsapp.net" && server !== "c.us") return null;
+  return user.split(":")[0] || null;
+}
+
+function chatTypeOf(jid = "") {
+  if (jid.endsWith("@g.us")) return "group";
+  if (jid === "status@broadcast") return "status";
+  if (jid.endsWith("@broadcast")) return "broadcast";
+  if (jid.endsWith("@newsletter")) return "newsletter";
+  return "direct";
+}
+
+/* ───────── Content helpers ───────── */
+
+/** Peel wrapper layers off a Baileys `message` object */
+function unwrapMessage(message) {
+  let m = message;
+  for (let depth = 0; m && depth < 5; depth++) {
+    const wrapper = WRAPPERS.find((k) => m[k]?.message);
+    if (!wrapper) break;
+    m = m[wrapper].message;
+  }
+  // An edit carries the new content inside protocolMessage.editedMessage
+  if (m?.protocolMessage?.editedMessage) return unwrapMessage(m.protocolMessage.editedMessage);
+  return m || {};
+}
+
+/** First content key that isn't metadata */
+function contentKey(message) {
+  return (
+    Object.keys(TYPES).find((k) => message[k] != null) ||
+    Object.keys(message).find(
+      (k) => k !== "messageContextInfo" && k !== "base64" && k !== "mediaUrl",
+    ) ||
+    null
+  );
+}
+
+/** Baileys longs arrive as numbers, strings or `{ low, high }` */
+function toNumber(value) {
+  if (value == null) return null;
+  if (typeof value === "object" && "low" in value) {
+    return (value.high >>> 0) * 2 ** 32 + (value.low >>> 0);
+  }
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Baileys bytes fields arrive base64-encoded or as a byte map */
+function toBase64(value) {
+  if (!value) return null;
+  if (typeof value === "string") return value;
+  if (typeof value === "object") {
+    return Buffer.from(Object.values(value)).toString("base64");
+  }
+  return null;
+}
+
+function textOf(content, key) {
+  if (key === "conversation") return content;
+  if (!content || typeof content !== "object") return null;
+  return (
+    content.text ??
+    content.caption ??
+    content.selectedDisplayText ??
+    content.title ??
+    null
+  );
+}
+
+function phonesFromVcard(vcard = "") {
+  const phones = [];
+  for (const m of vcard.matchAll(/waid=(\d+)/g)) phones.push(m[1]);
+  if (phones.length === 0) {
+    for (const m of vcard.matchAll(/^TEL[^:]*:([+\d\s-]+)$/gm)) {
+      phones.push(m[1].replace(/[^\d]/g, ""));
+    }
+  }
+  return phones;
+}
+
+function contactCard(c) {
+  return {
+    name: c.displayName || null,
+    phones: phonesFromVcard(c.vcard),
+    vcard: c.vcard || null,
+  };
+}
+
+function mediaOf(key, content, data) {
+  if (!MEDIA_KEYS.includes(key) || !content) return null;
+  return {
+    kind: TYPES[key],
+    mimetype: content.mimetype || null,
+    fileName: content.fileName || null,
+    size: toNumber(content.fileLength),
+    sha256: toBase64(content.fileSha256),
+    seconds: toNumber(content.seconds),
+    width: content.width ?? null,
+    height: content.height ?? null,
+    ptt: key === "audioMessage" ? !!content.ptt : null,
+    url: data.message?.mediaUrl || content.url || null,
+    base64: data.message?.base64 || null,
+  };
+}
+
+function quotedOf(contextInfo) {
+  if (!contextInfo?.stanzaId) return null;
+  const inner = unwrapMessage(contextInfo.quotedMessage || {});
+  const key = contentKey(inner);
+  return {
+    id: contextInfo.stanzaId,
+    sender: contextInfo.participant || null,
+    type: key ? TYPES[key] || "unknown" : null,
+    text: key ? textOf(inner[key], key) : null,
+  };
+}
+
+/* ───────── Normalization ───────── */
+
+/** Pre-Evolution payloads: `{ id, from, text, timestamp, attachments }` */
+function normalizeGeneric(m) {
+  return {
+    id: m.id || m._id || m.messageId || null,
+    chatJid: null,
+    chatType: null,
+    isGroup: false,
+    fromMe: false,
+    sender: m.from || m.author || m.sender || null,
+    senderPhone: null,
+    pushName: null,
+    type: "text",
+    messageType: null,
+    text:
+      m.text ||
+      m.body ||
+      (m.content && (m.content.text || m.content.body)) ||
+      null,
+    timestamp: m.timestamp || m.ts || m.createdAt || null,
+    edit: null,
+    quoted: null,
+    mentions: [],
+    media: null,
+    reaction: null,
+    location: null,
+    contacts: null,
+    poll: null,
+    status: null,
+    source: null,
+    // Fields of the earlier envelope, kept for existing consumers
+    from: m.from || m.author || m.sender || null,
+    ts: m.timestamp || m.ts || m.createdAt || null,
+    attachmentsCount: Array.isArray(m.attachments) ? m.attachments.length : 0,
+  };
+}
+
+/**
+ * Flatten one Evolution `messages.upsert` item.
+ *
+ * @param {object} data  `payload.data` — `{ key, pushName, message, messageType, ... }`
+ * @param {object} [opts]
+ * @param {string} [opts.ownerJid]  the instance's own JID (`payload.sender`),
+ *                                  used as sender of `fromMe` messages
+ */
+function normalizeMessage(data, { ownerJid = null } = {}) {
+  if (!data || typeof data !== "object") return null;
+  if (!data.key) return normalizeGeneric(data);
+
+  const key = data.key;
+  const chatJid = key.remoteJid || null;
+  const chatType = chatTypeOf(chatJid || "");
+  const isGroup = chatType === "group";
+  const fromMe = !!key.fromMe;
+
+  const sender = fromMe
+    ? ownerJid
+    : isGroup || chatType === "status"
+      ? key.participant || key.participantAlt || null
+      : key.senderPn || chatJid;
+
+  const message = unwrapMessage(data.message || {});
+  const ck = contentKey(message);
+  const content = ck ? message[ck] : null;
+  // Edits arrive as protocolMessage { key: <edited message>, editedMessage }
+  const protocol = (data.message?.editedMessage?.message || data.message)?.protocolMessage;
+  const contextInfo =
+    (content && typeof content === "object" && content.contextInfo) ||
+    data.contextInfo ||
+    null;
+
+  const out = {
+    id: key.id || null,
+    chatJid,
+    chatType,
+    isGroup,
+    fromMe,
+    sender,
+    senderPhone: jidToPhone(sender),
+    pushName: fromMe ? null : data.pushName || null,
+    type: ck ? TYPES[ck] || "unknown" : "unknown",
+    messageType: data.messageType || ck,
+    text: ck ? textOf(content, ck) : null,
+    timestamp: toNumber(data.messageTimestamp),
+    edit: protocol?.editedMessage ? { targetId: protocol.key?.id || null } : null,
+    quoted: quotedOf(contextInfo),
+    mentions: contextInfo?.mentionedJid || [],
+    media: mediaOf(ck, content, data),
+    reaction: null,
+    location: null,
+    contacts: null,
+    poll: null,
+    status: data.status || null,
+    source: data.source || null,
+  };
+
+  switch (ck) {
+    case "reactionMessage":
+      out.text = null;
+      out.reaction = {
+        emoji: content.text || null,
+        removed: !content.text, // an empty reaction takes the previous one back
+        targetId: content.key?.id || null,
+        targetFromMe: !!content.key?.fromMe,
+      };
+      break;
+    case "locationMessage":
+    case "liveLocationMessage":
+      out.text = content.caption || null;
+      out.location = {
+        latitude: content.degreesLatitude ?? null,
+        longitude: content.degreesLongitude ?? null,
+        name: content.name || null,
+        address: content.address || null,
+        url: content.url || null,
+        live: ck === "liveLocationMessage",
+      };
+      break;
+    case "contactMessage":
+      out.text = null;
+      out.contacts = [contactCard(content)];
+      break;
+    case "contactsArrayMessage":
+      out.text = null;
+      out.contacts = (content.contacts || []).map(contactCard);
+      break;
+    case "pollCreationMessage":
+    case "pollCreationMessageV2":
+    case "pollCreationMessageV3":
+      out.text = content.name || null;
+      out.poll = {
+        name: content.name || null,
+        options: (content.options || []).map((o) => o.optionName),
+        selectableCount: content.selectableOptionsCount ?? null,
+      };
+      break;
+    case "listResponseMessage":
+      out.text = content.title || content.singleSelectReply?.selectedRowId || null;
+      break;
+    case "protocolMessage":
+      // Deletes ("revoke") arrive as a protocolMessage pointing at the target
+      out.type = content.type === 0 || content.type === "REVOKE" ? "revoke" : "protocol";
+      out.text = null;
+      if (content.key?.id) out.quoted = { id: content.key.id, sender: null, type: null, text: null };
+      break;
+    default:
+      break;
+  }
+
+  // Fields of the earlier envelope, kept for existing consumers
+  out.from = out.sender;
+  out.ts = out.timestamp;
+  out.attachmentsCount = out.media ? 1 : 0;
+  return out;
+}
+
+/** Every message object inside a `messages.upsert` payload, whatever its nesting */
+function messagesFromPayload(payload) {
+  const data = payload?.data ?? payload?.message ?? payload;
+  const list = Array.isArray(data) ? data : [data];
+  return list.flatMap((d) => (Array.isArray(d?.messages) ? d.messages : [d])); // raw Baileys batch
+}
+
+/** The first of them — the one an envelope's `id` and `actor` describe */
+function messageFromPayload(payload) {
+  return messagesFromPayload(payload)[0];
+}
+
+module.exports = {
+  normalizeMessage,
+  messageFromPayload,
+  messagesFromPayload,
+  unwrapMessage,
+  jidToPhone,
+  chatTypeOf,
+};
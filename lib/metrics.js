@@ -0,0 +1,232 @@
+/* ─────────────────────────────────────────────────────────────
+   METRICS — Prometheus instrumentation for the whole pipeline
+   ─────────────────────────────────────────────────────────────
+   • Counters / histograms are updated inline by each stage
+   • Point-in-time gauges (rooms, connections, outboxes) are read
+     from live state at scrape time through `sources`
+   • `instance` / `event` labels outside the configured instances
+     and the event registry are folded into `other`
+   • Exposed as text by the Express `/metrics` route
+   ───────────────────────────────────────────────────────────── */
+
+const client = require("prom-client");
+const { isKnownEvent } = require("./events");
+
+const PREFIX = "wessaal_";
+const OTHER = "other";
+
+/**
+ * @param {object} [sources]  functions polled on every scrape
+ * @param {Function} [sources.frontRooms]  () => Iterable<[room, clients]>
+ * @param {Function} [sources.evolution]   () => connection status list
+ * @param {Function} [sources.outboxPending]  () => { [destination]: number }
+ * @param {Function} [sources.queueDepth]  () => { [destination]: { [instance]: { queued, inFlight } } }
+ * @param {Function} [sources.deadLetters]  () => entries in the dead-letter store
+ * @param {Function} [sources.isKnownInstance]  (name) => boolean — other names are
+ *   labelled `other` (omitted = every name is kept)
+ */
+function createMetrics(sources = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+  // Instance and event names come from payloads — only configured instances
+  // and registry events get their own series, so label sets stay bounded
+  const instanceLabel = (name) => (!sources.isKnownInstance || sources.isKnownInstance(name) ? name : OTHER);
+  const eventLabel = (name) => (isKnownEvent(name) ? name : OTHER);
+  function bounded(counter) {
+    return {
+      inc(labels, ...rest) {
+        const out = { ...labels };
+        if ("instance" in out) out.instance = instanceLabel(out.instance);
+        if ("event" in out) out.event = eventLabel(out.event);
+        counter.inc(out, ...rest);
+      },
+    };
+  }
+
+  const eventsReceived = bounded(
+    new client.Counter({
+      name: `${PREFIX}events_received_total`,
+      help: "Evolution events received, by event and instance",
+      labelNames: ["event", "instance"],
+      registers: [registry],
+    }),
+  );
+
+  const forwards = new client.Counter({
+    name: `${PREFIX}forwards_total`,
+    help: "Backend forwards by destination and result (success | failure)",
+    labelNames: ["destination", "result", "status"],
+    registers: [registry],
+  });
+
+  const forwardRetries = new client.Counter({
+    name: `${PREFIX}forward_retries_total`,
+    help: "axios-retry attempts made while forwarding, by destination",
+    labelNames: ["destination"],
+    registers: [registry],
+  });
+
+  const forwardDuration = new client.Histogram({
+    name: `${PREFIX}forward_duration_seconds`,
+    help: "Time from first attempt to final answer of a backend forward",
+    labelNames: ["destination", "result"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [registry],
+  });
+
+  const emitDrops = bounded(
+    new client.Counter({
+      name: `${PREFIX}emit_drops_total`,
+      help: "Events not emitted to browsers because the room was empty",
+      labelNames: ["instance"],
+      registers: [registry],
+    }),
+  );
+
+  new client.Gauge({
+    name: `${PREFIX}front_sockets`,
+    help: "Browser sockets currently joined, by room",
+    labelNames: ["room"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      // Rooms of unknown instances share `inst:other`, so their sockets add up
+      const byRoom = {};
+      for (const [room, count] of sources.frontRooms?.() || []) {
+        const label = room.startsWith("inst:") ? `inst:${instanceLabel(room.slice(5))}` : room;
+        byRoom[label] = (byRoom[label] || 0) + count;
+      }
+      for (const [room, count] of Object.entries(byRoom)) this.set({ room }, count);
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}evolution_connected`,
+    help: "Evolution connection state (1 = connected)",
+    labelNames: ["instance", "state"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const c of sources.evolution?.() || []) {
+        this.set({ instance: c.key, state: c.state }, c.state === "connected" ? 1 : 0);
+      }
+    },
+  });
+
+  new client.Counter({
+    name: `${PREFIX}evolution_reconnect_attempts_total`,
+    help: "Evolution reconnect attempts, by instance",
+    labelNames: ["instance"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const c of sources.evolution?.() || []) {
+        this.inc({ instance: c.key }, c.reconnectAttempts);
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}outbox_pending`,
+    help: "Envelopes waiting in the on-disk outbox, by destination",
+    labelNames: ["destination"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const [destination, n] of Object.entries(sources.outboxPending?.() || {})) {
+        this.set({ destination }, n);
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}forward_queue_depth`,
+    help: "Forward queue depth by destination, instance and state (queued | in_flight)",
+    labelNames: ["destination", "instance", "state"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const [destination, lanes] of Object.entries(sources.queueDepth?.() || {})) {
+        // Unknown instances share the `other` series, so their lanes add up
+        const byLabel = {};
+        for (const [instance, d] of Object.entries(lanes)) {
+          const sum = (byLabel[instanceLabel(instance)] ??= { queued: 0, inFlight: 0 });
+          sum.queued += d.queued;
+          sum.inFlight += d.inFlight;
+        }
+        for (const [instance, d] of Object.entries(byLabel)) {
+          this.set({ destination, instance, state: "queued" }, d.queued);
+          this.set({ destination, instance, state: "in_flight" }, d.inFlight);
+        }
+      }
+    },
+  });
+
+  const ingestRequests = new client.Counter({
+    name: `${PREFIX}ingest_requests_total`,
+    help: "Webhook deliveries on /ingest/evolution, by result",
+    labelNames: ["result"],
+    registers: [registry],
+  });
+
+  const eventsDuplicate = new client.Counter({
+    name: `${PREFIX}events_duplicate_total`,
+    help: "Evolution events dropped as duplicates, by the source of the copy",
+    labelNames: ["source"],
+    registers: [registry],
+  });
+
+  const frontActions = new client.Counter({
+    name: `${PREFIX}front_actions_total`,
+    help: "Agent actions from browsers, by action and result (ok | error code)",
+    labelNames: ["action", "result"],
+    registers: [registry],
+  });
+
+  const queueDrops = bounded(
+    new client.Counter({
+      name: `${PREFIX}forward_queue_dropped_total`,
+      help: "Envelopes evicted from the forward queue, by destination, instance and reason",
+      labelNames: ["destination", "instance", "reason"],
+      registers: [registry],
+    }),
+  );
+
+  const deadLettered = new client.Counter({
+    name: `${PREFIX}dead_letters_total`,
+    help: "Forwards moved to the dead-letter store, by destination and reason",
+    labelNames: ["destination", "reason"],
+    registers: [registry],
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}dead_letter_pending`,
+    help: "Entries waiting in the dead-letter store",
+    registers: [registry],
+    collect() {
+      this.set(sources.deadLetters?.() ?? 0);
+    },
+  });
+
+  return {
+    registry,
+    eventsReceived,
+    forwards,
+    forwardRetries,
+    forwardDuration,
+    emitDrops,
+    queueDrops,
+    deadLettered,
+    frontActions,
+    ingestRequests,
+    eventsDuplicate,
+  };
+}
+
+/** One registry summing the `getMetricsAsJSON()` output of every cluster worker */
+function aggregateMetrics(perWorker) {
+  return client.AggregatorRegistry.aggregate(perWorker);
+}
+
+module.exports = { createMetrics, aggregateMetrics };
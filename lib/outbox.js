@@ -0,0 +1,105 @@
+/* ─────────────────────────────────────────────────────────────
+   OUTBOX — Durable on-disk spool for backend forwards
+   ─────────────────────────────────────────────────────────────
+   • Every envelope is appended to an append-only JSONL spool
+     before it is forwarded
+   • A "done" record is appended once the backend answers 2xx
+   • Pending entries survive restarts; the forward queue replays
+     them in order on boot
+   • The spool is compacted once the acknowledged records pile up
+   ───────────────────────────────────────────────────────────── */
+
+const fs = require("fs");
+const path = require("path");
+
+const SPOOL_FILE = "outbox.jsonl";
+
+/** Create an outbox rooted at `dir`, recovering whatever is still pending */
+function createOutbox({ dir, compactThreshold = 1000, track = () => {} }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, SPOOL_FILE);
+
+  const pending = new Map(); // seq → envelope (insertion order = replay order)
+  let seq = 0;
+  let doneSinceCompact = 0;
+
+  /* ───────── Spool I/O ───────── */
+
+  function writeRecord(record) {
+    fs.appendFileSync(file, JSON.stringify(record) + "\n");
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    let corrupt = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch {
+        corrupt++; // torn write from a crash mid-append
+        continue;
+      }
+      if (rec.op === "add") pending.set(rec.seq, rec.envelope);
+      else if (rec.op === "done") {
+        pending.delete(rec.seq);
+        doneSinceCompact++;
+      }
+      if (rec.seq > seq) seq = rec.seq;
+    }
+    if (corrupt > 0) {
+      track("OUTBOX", "ERROR", `Skipped ${corrupt} corrupt spool line(s)`);
+    }
+    if (pending.size > 0) {
+      track("OUTBOX", "INFO", `Recovered ${pending.size} pending envelope(s)`);
+    }
+    compact();
+  }
+
+  /** Rewrite the spool with only the still-pending entries */
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const lines = [];
+    for (const [s, envelope] of pending) {
+      lines.push(JSON.stringify({ op: "add", seq: s, envelope }));
+    }
+    fs.writeFileSync(tmp, lines.length ? lines.join("\n") + "\n" : "");
+    fs.renameSync(tmp, file);
+    doneSinceCompact = 0;
+  }
+
+  /* ───────── Public API ───────── */
+
+  function append(envelope) {
+    seq++;
+    writeRecord({ op: "add", seq, envelope, at: Date.now() });
+    pending.set(seq, envelope);
+    return seq;
+  }
+
+  function markDone(s) {
+    if (!pending.delete(s)) return;
+    writeRecord({ op: "done", seq: s, at: Date.now() });
+    doneSinceCompact++;
+    if (pending.size === 0 || doneSinceCompact >= compactThreshold) compact();
+  }
+
+  /** Pending entries, oldest first */
+  function entries() {
+    return [...pending].map(([s, envelope]) => ({ seq: s, envelope }));
+  }
+
+  load();
+
+  return {
+    append,
+    markDone,
+    entries,
+    size: () => pending.size,
+    file,
+  };
+}
+
+module.exports = { createOutbox };
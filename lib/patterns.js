@@ -0,0 +1,42 @@
+/* ─────────────────────────────────────────────────────────────
+   PATTERNS — Wildcard matching for event / instance names
+   ─────────────────────────────────────────────────────────────
+   • `*` matches any run of characters: `messages.*`, `*.update`
+   • A bare `*` matches everything
+   • Matching is case-sensitive; callers normalize names first
+   ───────────────────────────────────────────────────────────── */
+
+const cache = new Map();
+
+function compilePattern(pattern) {
+  let re = cache.get(pattern);
+  if (!re) {
+    const body = pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    re = new RegExp(`^${body}$`);
+    cache.set(pattern, re);
+  }
+  return re;
+}
+
+function matchPattern(pattern, value) {
+  if (pattern === "*") return true;
+  if (!pattern.includes("*")) return pattern === value;
+  return compilePattern(pattern).test(value);
+}
+
+function matchesAny(patterns, value) {
+  return patterns.some((p) => matchPattern(p, value));
+}
+
+/** Split a comma-separated env list into trimmed, non-empty entries */
+function parseList(value = "", sep = ",") {
+  return value
+    .split(sep)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+module.exports = { matchPattern, matchesAny, parseList };
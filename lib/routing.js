@@ -0,0 +1,235 @@
+/* ─────────────────────────────────────────────────────────────
+   ROUTING — Which backend destinations receive an envelope
+   ─────────────────────────────────────────────────────────────
+   • Destinations are named backends, each with its own URL,
+     credentials, signing keys, timeout and retry policy
+   • Rules match on event name, instance (`*` wildcards) and
+     envelope fields (dotted paths); every matching rule adds its
+     destinations — fan-out, duplicates removed
+   • `final: true` stops evaluation once that rule matches
+   • Without a routes file, BACKEND_URL is the single `default`
+     destination and receives everything
+   ───────────────────────────────────────────────────────────── */
+
+const fs = require("fs");
+const { matchPattern } = require("./patterns");
+const { parseSigningKeys } = require("./signing");
+const { normalizeEventPatterns } = require("./events");
+
+const DEFAULT_DESTINATION = "default";
+const NAME_RE = /^[A-Za-z0-9_-]+$/;
+
+class RoutingConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid routing config:\n  - ${errors.join("\n  - ")}`);
+    this.name = "RoutingConfigError";
+    this.errors = errors;
+  }
+}
+
+const asList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]).map(String);
+
+/** Replace `${NAME}` in every string with process env values */
+function interpolateEnv(value, env, errors) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+      if (env[name] === undefined) errors.push(`env var ${name} is not set`);
+      return env[name] ?? "";
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => interpolateEnv(v, env, errors));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = interpolateEnv(v, env, errors);
+    return out;
+  }
+  return value;
+}
+
+function readPath(obj, dotted) {
+  return dotted.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/* ───────── Parsing ───────── */
+
+function normalizeDestination(name, raw, defaults, errors) {
+  if (!NAME_RE.test(name)) {
+    errors.push(`destination "${name}": name may only contain letters, digits, _ and -`);
+  }
+  if (!raw || typeof raw !== "object") {
+    errors.push(`destination "${name}": must be an object`);
+    return null;
+  }
+  try {
+    const u = new URL(raw.url);
+    if (!["http:", "https:"].includes(u.protocol)) throw new Error();
+  } catch {
+    errors.push(`destination "${name}": url must be an http(s) URL`);
+  }
+  const timeoutMs = raw.timeoutMs ?? defaults.timeoutMs;
+  const retries = raw.retries ?? defaults.retries;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    errors.push(`destination "${name}": timeoutMs must be a positive integer`);
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    errors.push(`destination "${name}": retries must be a non-negative integer`);
+  }
+  const signingKeys = Array.isArray(raw.signingKeys)
+    ? raw.signingKeys
+    : parseSigningKeys(raw.signingKeys || "");
+  return {
+    name,
+    url: raw.url,
+    apiKey: raw.apiKey || "",
+    webhookSecret: raw.webhookSecret || "",
+    signingKeys,
+    headers: raw.headers || {},
+    timeoutMs,
+    retries,
+  };
+}
+
+function normalizeRule(raw, i, destinations, errors) {
+  const label = `routes[${i}]${raw?.name ? ` (${raw.name})` : ""}`;
+  if (!raw || typeof raw !== "object") {
+    errors.push(`${label}: must be an object`);
+    return null;
+  }
+  const match = raw.match || {};
+  const to = asList(raw.to);
+  if (to.length === 0) errors.push(`${label}: "to" names no destination`);
+  for (const name of to) {
+    if (!destinations[name]) errors.push(`${label}: unknown destination "${name}"`);
+  }
+  const fields = {};
+  for (const [path, patterns] of Object.entries(match.fields || {})) {
+    fields[path] = asList(patterns);
+  }
+  return {
+    name: raw.name || label,
+    events: normalizeEventPatterns(asList(match.event ?? match.events)),
+    instances: asList(match.instance ?? match.instances),
+    fields,
+    to,
+    final: raw.final === true,
+  };
+}
+
+/**
+ * Validate a routing config object. Throws RoutingConfigError listing every
+ * problem at once.
+ *
+ * @param {object} raw   `{ destinations: { name: {...} }, routes: [...] }`
+ * @param {object} [opts]
+ * @param {object} [opts.defaults]  `{ timeoutMs, retries }` for destinations
+ * @param {object} [opts.env]       values for `${NAME}` placeholders
+ */
+function parseRoutingConfig(raw, { defaults = {}, env = process.env } = {}) {
+  const errors = [];
+  defaults = { timeoutMs: 10000, retries: 4, ...defaults };
+  const config = interpolateEnv(raw || {}, env, errors);
+
+  const destinations = {};
+  const rawDestinations = config.destinations || {};
+  if (Object.keys(rawDestinations).length === 0) {
+    errors.push("no destinations defined");
+  }
+  for (const [name, d] of Object.entries(rawDestinations)) {
+    const dest = normalizeDestination(name, d, defaults, errors);
+    if (dest) destinations[name] = dest;
+  }
+
+  if (!Array.isArray(config.routes)) errors.push('"routes" must be an array');
+  const rules = (Array.isArray(config.routes) ? config.routes : [])
+    .map((r, i) => normalizeRule(r, i, destinations, errors))
+    .filter(Boolean);
+
+  if (errors.length > 0) throw new RoutingConfigError(errors);
+  return { destinations, rules };
+}
+
+/** Read and validate a JSON routes file */
+function loadRoutingFile(file, opts) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new RoutingConfigError([`cannot read ${file}: ${err.message}`]);
+  }
+  return parseRoutingConfig(raw, opts);
+}
+
+/** Legacy single-backend setup: one `default` destination, one catch-all rule */
+function defaultRouting(destination) {
+  if (!destination.url) return { destinations: {}, rules: [] };
+  return {
+    destinations: {
+      [DEFAULT_DESTINATION]: { headers: {}, ...destination, name: DEFAULT_DESTINATION },
+    },
+    rules: [
+      {
+        name: "all events",
+        events: [],
+        instances: [],
+        fields: {},
+        to: [DEFAULT_DESTINATION],
+        final: false,
+      },
+    ],
+  };
+}
+
+/** Routing for loaded settings: ROUTES_FILE, or BACKEND_URL as `default` */
+function routingFromConfig(s, env = process.env) {
+  const defaults = { timeoutMs: s.FORWARD_TIMEOUT_MS, retries: s.FORWARD_RETRIES };
+  if (s.ROUTES_FILE) return loadRoutingFile(s.ROUTES_FILE, { defaults, env });
+  return defaultRouting({
+    url: s.BACKEND_URL,
+    // Forward credentials fall back to the Evolution ones
+    apiKey: s.BACKEND_API_KEY || s.EVOLUTION_API_KEY,
+    webhookSecret: s.BACKEND_WEBHOOK_SECRET || s.EVOLUTION_WEBHOOK_SECRET,
+    signingKeys: s.WEBHOOK_SIGNING_KEYS,
+    ...defaults,
+  });
+}
+
+/* ───────── Matching ───────── */
+
+function ruleMatches(rule, envelope) {
+  const any = (patterns, value) =>
+    patterns.length === 0 ||
+    (value != null && patterns.some((p) => matchPattern(p, String(value))));
+
+  if (!any(rule.events, envelope.event)) return false;
+  if (!any(rule.instances, envelope.instance)) return false;
+  for (const [path, patterns] of Object.entries(rule.fields)) {
+    if (!any(patterns, readPath(envelope, path))) return false;
+  }
+  return true;
+}
+
+/** @param {{ destinations, rules }} routing  output of parseRoutingConfig */
+function createRouter({ destinations, rules }) {
+  /** Destination names for an envelope, in rule order, without duplicates */
+  function route(envelope) {
+    const names = [];
+    for (const rule of rules) {
+      if (!ruleMatches(rule, envelope)) continue;
+      for (const name of rule.to) if (!names.includes(name)) names.push(name);
+      if (rule.final) break;
+    }
+    return names;
+  }
+
+  return { route, destinations, rules };
+}
+
+module.exports = {
+  DEFAULT_DESTINATION,
+  RoutingConfigError,
+  parseRoutingConfig,
+  loadRoutingFile,
+  defaultRouting,
+  routingFromConfig,
+  createRouter,
+};
@@ -0,0 +1,159 @@
+/* ─────────────────────────────────────────────────────────────
+   S3 — Minimal S3-compatible client (AWS, MinIO, R2, Spaces)
+   ─────────────────────────────────────────────────────────────
+   • AWS Signature V4, path-style URLs (`endpoint/bucket/key`)
+   • Only what the media store needs: PUT and streamed GET
+   • No SDK dependency — requests go through axios
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+/** RFC 3986 encoding as S3 expects it (keeps `/` when encoding a path) */
+function encodeRfc3986(str, keepSlash = false) {
+  const out = encodeURIComponent(str).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return keepSlash ? out.replace(/%2F/g, "/") : out;
+}
+
+/**
+ * Sign a request with AWS Signature V4. Returns the headers to send, with
+ * `authorization`, `x-amz-date` and `x-amz-content-sha256` added.
+ *
+ * @param {object} req
+ * @param {string} req.method
+ * @param {string} req.url           full URL, query included
+ * @param {object} [req.headers]     extra headers to sign (lower-case names)
+ * @param {string} [req.payloadHash] hex sha256 of the body (default: empty body)
+ */
+function signS3Request({
+  method,
+  url,
+  headers = {},
+  payloadHash = EMPTY_SHA256,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  service = "s3",
+  date = new Date(),
+}) {
+  const u = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+
+  const signed = {
+    ...headers,
+    host: u.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const names = Object.keys(signed)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lower = Object.fromEntries(
+    Object.entries(signed).map(([k, v]) => [k.toLowerCase(), String(v).trim()]),
+  );
+
+  const query = [...u.searchParams]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : a < b ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    encodeRfc3986(decodeURIComponent(u.pathname), true),
+    query,
+    names.map((n) => `${n}:${lower[n]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+
+  const kDate = hmac(`AWS4${secretAccessKey}`, day);
+  const kSigning = hmac(hmac(hmac(kDate, region), service), "aws4_request");
+  const signature = crypto.createHmac("sha256", kSigning).update(stringToSign).digest("hex");
+
+  const out = { ...signed };
+  delete out.host; // set by the HTTP client
+  out.authorization =
+    `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+    `SignedHeaders=${names.join(";")}, Signature=${signature}`;
+  return out;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.endpoint   e.g. `https://s3.eu-west-1.amazonaws.com`, `http://minio:9000`
+ * @param {string} opts.bucket
+ * @param {string} [opts.region]
+ */
+function createS3Client({
+  endpoint,
+  bucket,
+  region = "us-east-1",
+  accessKeyId,
+  secretAccessKey,
+  timeoutMs = 30000,
+}) {
+  const base = endpoint.replace(/\/+$/, "");
+  const objectUrl = (key) => `${base}/${encodeRfc3986(bucket)}/${encodeRfc3986(key, true)}`;
+  const creds = { region, accessKeyId, secretAccessKey };
+
+  async function putObject(key, body, contentType = "application/octet-stream") {
+    const url = objectUrl(key);
+    const headers = signS3Request({
+      method: "PUT",
+      url,
+      headers: { "content-type": contentType },
+      payloadHash: sha256Hex(body),
+      ...creds,
+    });
+    await axios.put(url, body, {
+      headers: { ...headers, "content-length": body.length },
+      timeout: timeoutMs,
+      maxBodyLength: Infinity,
+      proxy: false,
+    });
+  }
+
+  /** Resolves to `{ stream, size, contentType }`, or null when missing */
+  async function getObject(key) {
+    const url = objectUrl(key);
+    const headers = signS3Request({ method: "GET", url, ...creds });
+    const res = await axios.get(url, {
+      headers,
+      timeout: timeoutMs,
+      responseType: "stream",
+      validateStatus: (s) => s === 200 || s === 404,
+      proxy: false,
+    });
+    if (res.status === 404) {
+      res.data.resume();
+      return null;
+    }
+    return {
+      stream: res.data,
+      size: Number(res.headers["content-length"]) || null,
+      contentType: res.headers["content-type"] || null,
+    };
+  }
+
+  return { putObject, getObject, objectUrl };
+}
+
+module.exports = { signS3Request, createS3Client, EMPTY_SHA256 };
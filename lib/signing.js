@@ -0,0 +1,147 @@
+/* ─────────────────────────────────────────────────────────────
+   SIGNING — HMAC-SHA256 webhook signatures
+   ─────────────────────────────────────────────────────────────
+   • Signed string: `${timestamp}.${requestId}.${rawBody}`
+   • One signature per active key, so keys rotate without downtime
+   • Each attempt of a forward gets a new request id and timestamp
+   • verifySignature() is the reference the backend mirrors:
+     timestamp tolerance + optional seen-request-id replay cache
+   ───────────────────────────────────────────────────────────── */
+
+const crypto = require("crypto");
+
+const HEADER_SIGNATURE = "x-wessaal-signature";
+const HEADER_TIMESTAMP = "x-wessaal-timestamp";
+const HEADER_REQUEST_ID = "x-request-id";
+const SCHEME = "v1";
+
+/**
+ * Parse `WEBHOOK_SIGNING_KEYS`-style lists: `id1:secret1,id2:secret2`.
+ * Entries without an id are numbered (`k1`, `k2`, …).
+ */
+function parseSigningKeys(value = "") {
+  return value
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const idx = entry.indexOf(":");
+      if (idx <= 0) return { id: `k${i + 1}`, secret: entry };
+      return { id: entry.slice(0, idx), secret: entry.slice(idx + 1) };
+    })
+    .filter((k) => k.secret);
+}
+
+function computeSignature(secret, timestamp, requestId, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${requestId}.${rawBody}`)
+    .digest("hex");
+}
+
+/**
+ * Build the signature headers for one outbound request.
+ * Header value: `v1=<keyId>:<hex>` per key, comma-separated.
+ */
+function signRequest({ rawBody, requestId, keys, timestamp }) {
+  const ts = timestamp ?? Math.floor(Date.now() / 1000);
+  const sigs = keys.map(
+    (k) => `${SCHEME}=${k.id}:${computeSignature(k.secret, ts, requestId, rawBody)}`,
+  );
+  return {
+    [HEADER_TIMESTAMP]: String(ts),
+    [HEADER_SIGNATURE]: sigs.join(","),
+  };
+}
+
+/**
+ * Give one attempt its own request id and, with keys, fresh signatures over
+ * it. Called again before every retry: a backend that records seen ids must
+ * not take a retry for a replay. The Idempotency-Key header is left alone.
+ */
+function stampRequest(headers, { rawBody, keys = [] }) {
+  headers[HEADER_REQUEST_ID] = `wn-${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+  if (keys.length > 0) {
+    Object.assign(headers, signRequest({ rawBody, requestId: headers[HEADER_REQUEST_ID], keys }));
+  }
+  return headers;
+}
+
+function parseSignatureHeader(value = "") {
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .map((part) => {
+      const m = /^v1=([^:]+):([0-9a-f]+)$/i.exec(part);
+      return m ? { id: m[1], sig: m[2].toLowerCase() } : null;
+    })
+    .filter(Boolean);
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(a, "hex");
+  const bb = Buffer.from(b, "hex");
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Verify a signed delivery. Accepts if ANY of `keys` produced ANY of the
+ * signatures in the header (matched by key id).
+ *
+ * `seen` (optional Map) remembers request ids until their timestamp
+ * leaves the tolerance window, rejecting replays inside it. Every attempt,
+ * retries included, carries a new request id, so recording it here is safe;
+ * dedupe processing by the Idempotency-Key, not by the request id.
+ *
+ * @returns {{ ok: boolean, keyId?: string, reason?: string }}
+ */
+function verifySignature({
+  rawBody,
+  headers,
+  keys,
+  toleranceSec = 300,
+  now = Date.now(),
+  seen = null,
+}) {
+  const h = (name) => headers[name] ?? headers[name.toLowerCase()];
+  const ts = Number(h(HEADER_TIMESTAMP));
+  const requestId = h(HEADER_REQUEST_ID) || "";
+  const sigs = parseSignatureHeader(h(HEADER_SIGNATURE));
+
+  if (!Number.isFinite(ts)) return { ok: false, reason: "missing_timestamp" };
+  if (!requestId) return { ok: false, reason: "missing_request_id" };
+  if (sigs.length === 0) return { ok: false, reason: "missing_signature" };
+  if (Math.abs(now / 1000 - ts) > toleranceSec) {
+    return { ok: false, reason: "timestamp_out_of_tolerance" };
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : rawBody;
+  let keyId = null;
+  for (const { id, sig } of sigs) {
+    const key = keys.find((k) => k.id === id);
+    if (!key) continue;
+    if (safeEqualHex(computeSignature(key.secret, ts, requestId, body), sig)) {
+      keyId = id;
+      break;
+    }
+  }
+  if (!keyId) return { ok: false, reason: "bad_signature" };
+
+  if (seen) {
+    for (const [id, expires] of seen) if (expires <= now) seen.delete(id);
+    if (seen.has(requestId)) return { ok: false, reason: "replayed" };
+    seen.set(requestId, (ts + toleranceSec) * 1000);
+  }
+  return { ok: true, keyId };
+}
+
+module.exports = {
+  HEADER_SIGNATURE,
+  HEADER_TIMESTAMP,
+  HEADER_REQUEST_ID,
+  parseSigningKeys,
+  computeSignature,
+  signRequest,
+  stampRequest,
+  verifySignature,
+};